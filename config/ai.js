@@ -0,0 +1,49 @@
+// AI provider selection.
+//
+// Every provider implements the same interface:
+//   generateMemeTags(imageBase64, mimeType)        -> Promise<string[]>
+//   generateMemeDescription(imageBase64, mimeType) -> Promise<string>
+//   generateCaptions(imageBase64, mimeType)        -> Promise<string[]>
+//   generateMemeStorm(ideas)                       -> Promise<{ 'image-description', caption }[]>
+//   traceMemeEvolution(imageBase64, mimeType)      -> Promise<object>
+//   moderateImage(imageBase64, mimeType)           -> Promise<{ nsfw, hate, violence, reason? }> (scores 0-1)
+// plus `name` and `modelName` properties for response metadata.
+// `mimeType` is the sniffed type of the image (defaults to image/jpeg).
+// Methods reject (AIResponseError for unusable output) rather than inventing
+// placeholder data; routes decide on fallbacks via utils/aiResponse withFallback.
+//
+// AI_PROVIDER picks the implementation: "gemini" (default) or "mock" for a
+// deterministic offline provider.
+
+const REQUIRED_METHODS = [
+  'generateMemeTags',
+  'generateMemeDescription',
+  'generateCaptions',
+  'generateMemeStorm',
+  'traceMemeEvolution',
+  'moderateImage'
+];
+
+const providers = {
+  gemini: () => require('./gemini'),
+  mock: () => require('./mockAi')
+};
+
+const createProvider = (name = process.env.AI_PROVIDER || 'gemini') => {
+  const loadProvider = providers[name.toLowerCase()];
+  if (!loadProvider) {
+    throw new Error(`Unknown AI_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  const Provider = loadProvider();
+  const provider = new Provider();
+
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`AI provider "${name}" is missing: ${missing.join(', ')}`);
+  }
+
+  return provider;
+};
+
+module.exports = createProvider();
@@ -1,77 +1,182 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { AIResponseError, generateValidatedJson } = require('../utils/aiResponse');
+
+const MODEL_NAME = 'gemini-2.0-flash';
+
+// Expected shape of each structured response
+const schemas = {
+  tags: {
+    type: 'array',
+    minItems: 1,
+    maxItems: 20,
+    items: { type: 'string', minLength: 1, maxLength: 50 }
+  },
+  captions: {
+    type: 'array',
+    minItems: 1,
+    maxItems: 20,
+    items: { type: 'string', minLength: 1, maxLength: 300 }
+  },
+  memeStorm: {
+    type: 'array',
+    minItems: 1,
+    items: {
+      type: 'object',
+      required: ['image-description', 'caption'],
+      properties: {
+        'image-description': { type: 'string', minLength: 1 },
+        caption: { type: 'string', minLength: 1 }
+      }
+    }
+  },
+  moderation: {
+    type: 'object',
+    required: ['nsfw', 'hate', 'violence'],
+    properties: {
+      nsfw: { type: 'number', minimum: 0, maximum: 1 },
+      hate: { type: 'number', minimum: 0, maximum: 1 },
+      violence: { type: 'number', minimum: 0, maximum: 1 },
+      reason: { type: 'string' }
+    }
+  },
+  evolution: {
+    type: 'object',
+    required: ['origin', 'timeline', 'popularity', 'variations', 'cultural_impact'],
+    properties: {
+      origin: {
+        type: 'object',
+        required: ['date', 'platform', 'description'],
+        properties: {
+          date: { type: 'string' },
+          platform: { type: 'string' },
+          description: { type: 'string' }
+        }
+      },
+      timeline: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['date', 'event', 'platform', 'impact'],
+          properties: {
+            date: { type: 'string' },
+            event: { type: 'string' },
+            platform: { type: 'string' },
+            impact: { type: 'string', enum: ['low', 'medium', 'high'] }
+          }
+        }
+      },
+      popularity: {
+        type: 'object',
+        required: ['peak_date', 'total_shares', 'platforms'],
+        properties: {
+          peak_date: { type: 'string' },
+          total_shares: { type: 'number', minimum: 0 },
+          platforms: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'shares'],
+              properties: {
+                name: { type: 'string' },
+                shares: { type: 'number', minimum: 0 }
+              }
+            }
+          }
+        }
+      },
+      variations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'description', 'popularity'],
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            popularity: { type: 'number', minimum: 0, maximum: 100 }
+          }
+        }
+      },
+      cultural_impact: { type: 'string', minLength: 1 }
+    }
+  }
+};
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
+// Google Gemini implementation of the AI provider interface (see config/ai.js)
 class GeminiService {
-  constructor() {
-    this.model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
-    this.visionModel = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+  constructor(apiKey = process.env.GEMINI_API_KEY) {
+    this.name = 'gemini';
+    this.modelName = 'Google Gemini 2.0 Flash';
+    this.apiKey = apiKey;
+    this.genAI = null;
   }
 
-  async generateMemeTags(imageBase64) {
-    try {
-      const prompt = `Analyze this meme image and generate relevant tags for categorization and search. 
-      Focus on: meme format, subject matter, emotions, visual elements, popular culture references, and trends.
-      Return only a javascript array of tags (maximum 10 tags). 
-      Tags must be single worded only.
-      Tags should be lowercase, single words.
-      Should strictly return a json array.
-      Example json format: [funny, reaction, drake, pointing, choice, decision, meme, viral]`;
-
-      const imageParts = [{
-        inlineData: {
-          data: imageBase64,
-          mimeType: 'image/jpeg'
-        }
-      }];
-
-      const result = await this.visionModel.generateContent([prompt, ...imageParts]);
-      const response = await result.response;
-      const text = response.text();
-      const jsonStringClean = text
-      .replace(/^```json\n/, '') // Remove leading ```json\n
-      .replace(/\n```$/, ''); 
-      console.log("response : ",jsonStringClean)
-      
-      // Parse tags from response
-      const tags = JSON.parse(jsonStringClean)
-
-      return tags;
-    } catch (error) {
-      console.error('Error generating tags with Gemini:', error);
-      // Fallback tags
-      return ['meme', 'funny', 'viral', 'internet', 'humor'];
+  // The client is created on first use so requiring this module never needs a key
+  getClient() {
+    if (!this.genAI) {
+      if (!this.apiKey) {
+        throw new Error('GEMINI_API_KEY is not set');
+      }
+      this.genAI = new GoogleGenerativeAI(this.apiKey);
     }
+    return this.genAI;
   }
 
-  async getTrendingTag(allTags) {
-    try {
-      const prompt = `Given this list of meme tags: ${allTags.join(', ')}
-      
-      Analyze which tag represents the most trending or viral meme concept right now based on:
-      - Current internet culture
-      - Recent viral trends
-      - Popular meme formats
-      - Social media buzz
-      
-      Return array of 10 most trending tags from the list, if list size is smaller than 10 return array of tags sorted in most trending to least trending.
-      example format: ["funny", "drake", "reaction", "meme", "viral", "internet", "humor"]`;
+  get model() {
+    return this.getClient().getGenerativeModel({ model: MODEL_NAME });
+  }
 
-      const result = await this.model.generateContent(prompt);
+  get visionModel() {
+    return this.getClient().getGenerativeModel({ model: MODEL_NAME });
+  }
+
+  imageParts(imageBase64, mimeType = 'image/jpeg') {
+    return [{
+      inlineData: {
+        data: imageBase64,
+        mimeType: mimeType
+      }
+    }];
+  }
+
+  // Generate JSON matching `schema`, retrying with a corrective prompt when the
+  // model returns something unparseable or malformed. Throws AIResponseError
+  // once retries are exhausted - callers decide whether a fallback is acceptable.
+  async generateJson(model, parts, schema) {
+    return generateValidatedJson(async (correction) => {
+      const request = correction ? [...parts, correction] : parts;
+      const result = await model.generateContent(request);
       const response = await result.response;
-      const trendingTag = response.text().trim().toLowerCase();
+      return response.text();
+    }, schema);
+  }
 
-      // Verify the returned tag exists in our list
-      return allTags.includes(trendingTag) ? trendingTag : allTags[0];
-    } catch (error) {
-      console.error('Error getting trending tag:', error);
-      return allTags[0] || 'meme';
+  async generateMemeTags(imageBase64, mimeType) {
+    const prompt = `Analyze this meme image and generate relevant tags for categorization and search. 
+      Focus on: meme format, subject matter, emotions, visual elements, popular culture references, and trends.
+      Return at most 10 tags.
+      Tags must be lowercase, single words.
+      Respond with only a JSON array of strings.
+      Example: ["funny", "reaction", "drake", "pointing", "choice", "decision", "meme", "viral"]`;
+
+    const tags = await this.generateJson(this.visionModel, [prompt, ...this.imageParts(imageBase64, mimeType)], schemas.tags);
+
+    // Normalise to lowercase single words, dropping duplicates
+    const normalised = [...new Set(
+      tags
+        .map(tag => tag.toLowerCase().trim().replace(/\s+/g, '-').replace(/[^a-z0-9\-_]/g, ''))
+        .filter(tag => tag.length > 0 && tag.length <= 50)
+    )].slice(0, 10);
+
+    if (normalised.length === 0) {
+      throw new AIResponseError('No usable tags in response', JSON.stringify(tags));
     }
+
+    return normalised;
   }
 
-  async traceMemeEvolution(imageBase64) {
-    try {
-      const prompt = `Analyze this meme image and provide a comprehensive evolution analysis with detailed timeline and impact data.
+  async traceMemeEvolution(imageBase64, mimeType) {
+    const prompt = `Analyze this meme image and provide a comprehensive evolution analysis with detailed timeline and impact data.
 
       Provide information in the following detailed structure:
 
@@ -113,134 +218,14 @@ class GeminiService {
         "cultural_impact": "Detailed description of cultural significance and impact"
       }
 
+      "impact" must be exactly one of "low", "medium" or "high". "popularity" of a variation is 0-100.
       Make the data realistic and plausible based on the meme format you identify. Include at least 4-6 timeline events, 3-5 platform breakdowns, and 3-4 variations.`;
 
-      const imageParts = [{
-        inlineData: {
-          data: imageBase64,
-          mimeType: 'image/jpeg'
-        }
-      }];
-
-      const result = await this.visionModel.generateContent([prompt, ...imageParts]);
-      const response = await result.response;
-      const text = response.text();
-      const jsonStringClean = text
-        .replace(/^```json\n/, '') // Remove leading ```json\n
-        .replace(/\n```$/, '');    // Remove trailing \n```
-      
-      try {
-        const evolutionData = JSON.parse(jsonStringClean);
-        
-        // Validate the structure and add defaults if needed
-        const validatedData = {
-          origin: evolutionData.origin || {
-            date: '2020-01-01',
-            platform: 'Unknown',
-            description: 'Origin details not available for this meme format.'
-          },
-          timeline: Array.isArray(evolutionData.timeline) ? evolutionData.timeline : [
-            {
-              date: '2020-01-01',
-              event: 'Initial appearance online',
-              platform: 'Social Media',
-              impact: 'low'
-            }
-          ],
-          popularity: evolutionData.popularity || {
-            peak_date: '2020-06-01',
-            total_shares: 100000,
-            platforms: [
-              { name: 'Twitter', shares: 50000 },
-              { name: 'Instagram', shares: 30000 },
-              { name: 'Facebook', shares: 20000 }
-            ]
-          },
-          variations: Array.isArray(evolutionData.variations) ? evolutionData.variations : [
-            {
-              name: 'Classic Version',
-              description: 'The original format as it first appeared',
-              popularity: 90
-            }
-          ],
-          cultural_impact: evolutionData.cultural_impact || 'This meme reflects contemporary internet culture and humor patterns.'
-        };
-
-        return validatedData;
-      } catch (parseError) {
-        console.warn('JSON parsing failed, using fallback structure:', parseError.message);
-        // Comprehensive fallback structure
-        return {
-          origin: {
-            date: '2020-03-15',
-            platform: 'Reddit',
-            description: 'First appeared as a reaction meme capturing relatable everyday situations.'
-          },
-          timeline: [
-            {
-              date: '2020-03-15',
-              event: 'Original meme posted',
-              platform: 'Reddit',
-              impact: 'low'
-            },
-            {
-              date: '2020-03-18',
-              event: 'Gained traction across social media',
-              platform: 'Twitter',
-              impact: 'medium'
-            },
-            {
-              date: '2020-03-22',
-              event: 'Viral spread on visual platforms',
-              platform: 'Instagram',
-              impact: 'high'
-            },
-            {
-              date: '2020-03-25',
-              event: 'Mainstream recognition',
-              platform: 'Multiple',
-              impact: 'high'
-            }
-          ],
-          popularity: {
-            peak_date: '2020-04-01',
-            total_shares: 1500000,
-            platforms: [
-              { name: 'Twitter', shares: 600000 },
-              { name: 'Instagram', shares: 450000 },
-              { name: 'Facebook', shares: 300000 },
-              { name: 'TikTok', shares: 150000 }
-            ]
-          },
-          variations: [
-            {
-              name: 'Original Format',
-              description: 'The classic version as it first appeared',
-              popularity: 95
-            },
-            {
-              name: 'Text Variations',
-              description: 'Different captions and text overlays',
-              popularity: 80
-            },
-            {
-              name: 'Contextual Adaptations',
-              description: 'Adapted for different situations and communities',
-              popularity: 75
-            }
-          ],
-          cultural_impact: 'This meme format became a versatile tool for expressing relatable situations and emotions, demonstrating the power of visual communication in digital culture.'
-        };
-      }
-    } catch (error) {
-      console.error('Error tracing meme evolution:', error);
-      throw new Error('Failed to trace meme evolution');
-    }
+    return this.generateJson(this.visionModel, [prompt, ...this.imageParts(imageBase64, mimeType)], schemas.evolution);
   }
 
   async generateMemeStorm(ideas) {
-    try {
-      const prompt = `Based on these ideas: "${ideas}"
+    const prompt = `Based on these ideas: "${ideas}"
 
 Generate creative meme concepts that could be turned into viral memes.
 For each concept, provide:
@@ -258,35 +243,17 @@ Return a JSON array, and nothing else. The structure must be strictly as follows
 ]  
 `;
 
-      const result = await this.model.generateContent(prompt);
-      const response = await result.response.candidates[0].content.parts[0].text;
-      const jsonStringClean = response
-      .replace(/^```json\n/, '') // Remove leading ```json\n
-      .replace(/\n```$/, '');    // Remove trailing \n```
-      
-      try {
-        return JSON.parse(jsonStringClean);
-      } catch (parseError) {
-        // Fallback response
-        return [
-          {
-            "image-description": "A confused looking person pointing at a complex diagram",
-            "caption": "Me trying to understand the assignment"
-          },
-          {
-            "image-description": "Drake pointing away from something vs pointing approvingly at something else",
-            "caption": "Old trends vs new viral content"
-          }
-        ];
-      }    } catch (error) {
-      console.error('Error generating meme storm:', error);
-      throw new Error('Failed to generate meme concepts');
-    }
+    const concepts = await this.generateJson(this.model, [prompt], schemas.memeStorm);
+
+    // Drop any extra keys the model may add
+    return concepts.map(concept => ({
+      'image-description': concept['image-description'],
+      caption: concept.caption
+    }));
   }
 
-  async generateCaptions(imageBase64) {
-    try {
-      const prompt = `Analyze this image and generate creative, funny, and engaging captions for it.
+  async generateCaptions(imageBase64, mimeType) {
+    const prompt = `Analyze this image and generate creative, funny, and engaging captions for it.
       
       Generate 8-12 different captions that could work for this image as a meme or social media post.
       
@@ -306,62 +273,16 @@ Return a JSON array, and nothing else. The structure must be strictly as follows
       Return only a JSON array of caption strings:
       ["caption 1", "caption 2", "caption 3", ...]`;
 
-      const imageParts = [{
-        inlineData: {
-          data: imageBase64,
-          mimeType: 'image/jpeg'
-        }
-      }];
+    const captions = await this.generateJson(this.visionModel, [prompt, ...this.imageParts(imageBase64, mimeType)], schemas.captions);
 
-      const result = await this.visionModel.generateContent([prompt, ...imageParts]);
-      const response = await result.response;
-      const text = response.text();
-      const jsonStringClean = text
-      .replace(/^```json\n/, '') // Remove leading ```json\n
-      .replace(/\n```$/, '');
-
-      try {
-        // Try to parse as JSON
-        const captions = JSON.parse(jsonStringClean);
-        if (Array.isArray(captions)) {
-          return captions.slice(0, 12); // Limit to 12 captions max
-        }
-        throw new Error('Response is not an array');
-      } catch (parseError) {
-        // Fallback: extract captions from text if JSON parsing fails
-        const lines = text.split('\n').filter(line => line.trim());
-        const captions = lines
-          .map(line => line.replace(/^\d+\.?\s*/, '').replace(/^[-*]\s*/, '').replace(/^["']|["']$/g, '').trim())
-          .filter(caption => caption.length > 0 && caption.length <= 200)
-          .slice(0, 12);
-        
-        return captions.length > 0 ? captions : [
-          "When life gives you lemons...",
-          "That moment when...",
-          "Me trying to understand this",
-          "It's giving main character energy",
-          "POV: You're living your best life"
-        ];
-      }
-    } catch (error) {
-      console.error('Error generating captions:', error);
-      // Fallback captions
-      return [
-        "When life gives you lemons...",
-        "That moment when everything makes sense",
-        "Me trying to understand the assignment", 
-        "It's giving main character energy",
-        "POV: You're living your best life",
-        "This hits different",
-        "The accuracy is unmatched",
-        "Tell me you relate without telling me you relate"
-      ];
-    }
+    return captions
+      .map(caption => caption.trim())
+      .filter(caption => caption.length > 0 && caption.length <= 200)
+      .slice(0, 12); // Limit to 12 captions max
   }
 
-  async generateMemeDescription(imageBase64) {
-    try {
-      const prompt = `Analyze this meme image and generate a concise, engaging description that captures its essence and humor.
+  async generateMemeDescription(imageBase64, mimeType) {
+    const prompt = `Analyze this meme image and generate a concise, engaging description that captures its essence and humor.
 
     Requirements:
     - Keep it between 20-100 characters
@@ -379,40 +300,42 @@ Return a JSON array, and nothing else. The structure must be strictly as follows
 
     Generate a single description only, no additional text:`;
 
-      const imageParts = [{
-        inlineData: {
-          data: imageBase64,
-          mimeType: 'image/jpeg'
-        }
-      }];
+    const result = await this.visionModel.generateContent([prompt, ...this.imageParts(imageBase64, mimeType)]);
+    const response = await result.response;
 
-      const result = await this.visionModel.generateContent([prompt, ...imageParts]);
-      const response = await result.response;
-      let description = response.text().trim();
+    // Clean up the response
+    let description = response.text()
+      .replace(/```[a-z]*\n?|```/gi, '') // Remove any code fences
+      .trim()
+      .replace(/^["']|["']$/g, '') // Remove quotes at start/end
+      .replace(/\s*\n\s*/g, ' ') // Replace newlines with spaces
+      .trim();
 
-      // Clean up the response
-      description = description
-        .replace(/^["']|["']$/g, '') // Remove quotes at start/end
-        .replace(/\n/g, ' ') // Replace newlines with spaces
-        .trim();
-
-      // Ensure it's not too long
-      if (description.length > 100) {
-        description = description.substring(0, 97) + '...';
-      }
+    if (description.length < 10) {
+      throw new AIResponseError('Description too short', description);
+    }
 
-      // Ensure it's not too short
-      if (description.length < 10) {
-        description = "A humorous meme image";
-      }
+    // Ensure it's not too long
+    if (description.length > 100) {
+      description = description.substring(0, 97) + '...';
+    }
 
-      return description;
+    return description;
+  }
 
-    } catch (error) {
-      console.error('Error generating meme description:', error);
-      throw new Error('Failed to generate meme description');
-    }
+  // Likelihood (0-1) that the image is sexual, hateful or violent content
+  async moderateImage(imageBase64, mimeType) {
+    const prompt = `You are a content moderator for a public meme marketplace.
+      Rate how likely this image is to contain each kind of content, from 0 (certainly not) to 1 (certainly):
+      - nsfw: nudity, sexual content or pornography
+      - hate: hate symbols, slurs or content attacking people for who they are
+      - violence: gore, graphic injury or glorified violence
+      Cartoon violence, mild swearing and dark humour that is common in memes should score low.
+      Respond with only a JSON object:
+      {"nsfw": 0.0, "hate": 0.0, "violence": 0.0, "reason": "short explanation of any high score"}`;
+
+    return this.generateJson(this.visionModel, [prompt, ...this.imageParts(imageBase64, mimeType)], schemas.moderation);
   }
 }
 
-module.exports = new GeminiService();
+module.exports = GeminiService;
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+const TAG_POOL = [
+  'funny', 'reaction', 'drake', 'cat', 'dog', 'wholesome', 'relatable', 'gaming',
+  'school', 'work', 'monday', 'coffee', 'programming', 'sports', 'movie', 'anime',
+  'surprised', 'confused', 'happy', 'sad', 'angry', 'classic', 'viral', 'internet'
+];
+
+const SUBJECTS = ['Cat', 'Dog', 'Student', 'Programmer', 'Office worker', 'Gamer', 'Toddler', 'Grandma'];
+const SITUATIONS = [
+  'staring judgmentally at a laptop',
+  'realizing it is only Tuesday',
+  'pretending to understand the meeting',
+  'celebrating a tiny victory',
+  'waiting for the code to compile',
+  'discovering the fridge is empty'
+];
+const CAPTION_TEMPLATES = [
+  'Me when {x}',
+  'Nobody: ... Absolutely nobody: ... Me: {x}',
+  'POV: {x}',
+  'That moment when {x}',
+  'When {x} hits different',
+  'Tell me {x} without telling me',
+  '{x}? Say less.',
+  'My last brain cell {x}'
+];
+const PLATFORMS = ['Reddit', 'Twitter', 'Instagram', 'TikTok', 'Tumblr', '4chan'];
+
+// Deterministic pseudo-random generator seeded from the input, so the same
+// image or prompt always produces the same output
+const createRandom = (input) => {
+  const digest = crypto.createHash('sha256').update(String(input)).digest();
+  let state = digest.readUInt32BE(0) || 1;
+  return () => {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return (state >>> 0) / 4294967296;
+  };
+};
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+const pickMany = (random, items, count) => {
+  const pool = [...items];
+  const picked = [];
+  while (picked.length < count && pool.length > 0) {
+    picked.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+  }
+  return picked;
+};
+
+// Offline, deterministic implementation of the AI provider interface (see config/ai.js).
+// Selected with AI_PROVIDER=mock; useful for local development and tests.
+class MockAIService {
+  constructor() {
+    this.name = 'mock';
+    this.modelName = 'Mock AI Provider';
+  }
+
+  async generateMemeTags(imageBase64) {
+    const random = createRandom(`tags:${imageBase64}`);
+    return ['meme', ...pickMany(random, TAG_POOL, 5)];
+  }
+
+  async generateMemeDescription(imageBase64) {
+    const random = createRandom(`description:${imageBase64}`);
+    return `${pick(random, SUBJECTS)} ${pick(random, SITUATIONS)}`;
+  }
+
+  async generateCaptions(imageBase64) {
+    const random = createRandom(`captions:${imageBase64}`);
+    return pickMany(random, CAPTION_TEMPLATES, 8)
+      .map(template => template.replace('{x}', pick(random, SITUATIONS)));
+  }
+
+  async generateMemeStorm(ideas) {
+    const random = createRandom(`storm:${ideas}`);
+    return Array.from({ length: 5 }, () => ({
+      'image-description': `${pick(random, SUBJECTS)} ${pick(random, SITUATIONS)}, inspired by "${ideas}"`,
+      caption: pick(random, CAPTION_TEMPLATES).replace('{x}', ideas)
+    }));
+  }
+
+  // Always low scores, so mock uploads are approved unless a banned word matches
+  async moderateImage(imageBase64) {
+    const random = createRandom(`moderation:${imageBase64}`);
+    return {
+      nsfw: Math.round(random() * 10) / 100,
+      hate: Math.round(random() * 10) / 100,
+      violence: Math.round(random() * 10) / 100,
+      reason: 'Mock moderation generated offline'
+    };
+  }
+
+  async traceMemeEvolution(imageBase64) {
+    const random = createRandom(`evolution:${imageBase64}`);
+    const originYear = 2010 + Math.floor(random() * 12);
+    const platforms = pickMany(random, PLATFORMS, 4);
+
+    return {
+      origin: {
+        date: `${originYear}-01-01`,
+        platform: platforms[0],
+        description: `Mock origin: first appeared on ${platforms[0]}.`
+      },
+      timeline: platforms.map((platform, index) => ({
+        date: `${originYear + index}-01-01`,
+        event: `Mock event ${index + 1}: spread to ${platform}`,
+        platform: platform,
+        impact: ['low', 'medium', 'high', 'high'][index]
+      })),
+      popularity: {
+        peak_date: `${originYear + 2}-01-01`,
+        total_shares: 0,
+        platforms: platforms.map(platform => ({ name: platform, shares: 0 }))
+      },
+      variations: [
+        { name: 'Original Format', description: 'Mock variation', popularity: 50 }
+      ],
+      cultural_impact: 'Mock analysis generated offline; no real data.'
+    };
+  }
+}
+
+module.exports = MockAIService;
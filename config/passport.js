@@ -1,44 +1,84 @@
 const passport = require('passport');
+const Strategy = require('passport-strategy');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const User = require('../models/User');
 
-passport.use(new GoogleStrategy({
-  clientID: process.env.GOOGLE_CLIENT_ID,
-  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-  callbackURL: "/api/auth/google/callback"
-}, async (accessToken, refreshToken, profile, done) => {
-  try {
-    // Check if user already exists
-    let user = await User.findOne({ googleId: profile.id });
-    
-    if (user) {
-      return done(null, user);
+const CALLBACK_URL = '/api/auth/google/callback';
+
+// Local stand-in for the Google OAuth provider, used when AUTH_PROVIDER=local.
+// It mimics the OAuth round trip without any network access:
+//   GET /api/auth/google?email=jane@example.com&name=Jane
+//     -> redirects to the callback with a `code` carrying the fake profile
+//   GET /api/auth/google/callback?code=...
+//     -> decodes the profile and runs the same verify callback as Google
+class LocalOAuthStrategy extends Strategy {
+  constructor(options, verify) {
+    super();
+    this.name = 'google';
+    this._callbackURL = options.callbackURL;
+    this._verify = verify;
+  }
+
+  authenticate(req) {
+    if (!req.query.code) {
+      const { email = 'dev@localhost', name, avatar } = req.query;
+      const code = Buffer.from(JSON.stringify({ email, name, avatar })).toString('base64url');
+      return this.redirect(`${this._callbackURL}?code=${code}`);
+    }
+
+    let details;
+    try {
+      details = JSON.parse(Buffer.from(req.query.code, 'base64url').toString('utf8'));
+    } catch (error) {
+      return this.fail({ message: 'Invalid authorization code' });
+    }
+
+    if (!details.email) {
+      return this.fail({ message: 'Invalid authorization code' });
     }
-    
-    // Create new user
-    user = new User({
-      googleId: profile.id,
-      email: profile.emails[0].value,
-      name: profile.displayName,
-      avatar: profile.photos[0].value
+
+    // Same shape as the profile passport-google-oauth20 hands to the verify callback
+    const profile = {
+      provider: 'local',
+      id: details.email.toLowerCase(),
+      displayName: details.name || details.email.split('@')[0],
+      emails: [{ value: details.email }],
+      photos: details.avatar ? [{ value: details.avatar }] : []
+    };
+
+    this._verify(null, null, profile, (error, user, info) => {
+      if (error) return this.error(error);
+      if (!user) return this.fail(info);
+      this.success(user, info);
     });
-    
-    await user.save();
+  }
+}
+
+const verifyProfile = async (accessToken, refreshToken, profile, done) => {
+  try {
+    // Find the existing user or create one on first login
+    const provider = profile.provider === 'local' ? 'local' : 'google';
+    const user = await User.findOrCreateFromProfile(provider, profile);
     return done(null, user);
   } catch (error) {
     return done(error, null);
   }
-}));
+};
 
-passport.serializeUser((user, done) => {
-  done(null, user.id);
-});
+// The stand-in logs anyone in as whatever email they ask for, so it is never
+// registered in production, whatever AUTH_PROVIDER says
+if (process.env.AUTH_PROVIDER === 'local' && process.env.NODE_ENV === 'production') {
+  console.error('❌ AUTH_PROVIDER=local is not allowed when NODE_ENV=production - login is disabled');
+} else if (process.env.AUTH_PROVIDER === 'local') {
+  passport.use(new LocalOAuthStrategy({ callbackURL: CALLBACK_URL }, verifyProfile));
+} else if (process.env.GOOGLE_CLIENT_ID) {
+  passport.use(new GoogleStrategy({
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL: CALLBACK_URL
+  }, verifyProfile));
+} else {
+  console.warn('⚠️ GOOGLE_CLIENT_ID not set - Google login is disabled (set AUTH_PROVIDER=local for offline login)');
+}
 
-passport.deserializeUser(async (id, done) => {
-  try {
-    const user = await User.findById(id);
-    done(null, user);
-  } catch (error) {
-    done(error, null);
-  }
-});
+module.exports = passport;
@@ -0,0 +1,134 @@
+const aiService = require('../config/ai');
+const Meme = require('../models/Meme');
+const Template = require('../models/Template');
+const queue = require('./queue');
+const { getPosterStorage } = require('../storage');
+const { moderateMeme } = require('../services/moderation');
+
+// AI enrichment for freshly uploaded memes: tags, (when the uploader didn't
+// provide one) a description, and automated moderation. Runs outside the
+// upload request so uploads stay fast and survive AI outages; failures are
+// retried by the queue.
+const JOB_TYPE = 'enrich-meme';
+
+const FALLBACK_TAGS = ['meme'];
+const MAX_TAGS = 15;
+const FALLBACK_DESCRIPTION = 'a meme image uploaded to the marketplace';
+
+const enqueueEnrichment = (memeId, { generateDescription }) => {
+  return queue.enqueue(JOB_TYPE, { memeId, generateDescription });
+};
+
+// Fill in a generated description, unless the meme got one in the meantime.
+// Returns whether it was written.
+const setDescriptionIfEmpty = async (memes, memeId, description, isFallback) => {
+  const result = await memes.updateOne(
+    { _id: memeId, description: { $in: ['', null] } },
+    { $set: { description, 'aiFallback.description': isFallback } }
+  );
+  return result.modifiedCount > 0;
+};
+
+const run = async (job) => {
+  const { memeId, generateDescription } = job.payload;
+  const memes = await Meme.getCollection();
+
+  const meme = await memes.findOne({ _id: memeId });
+  if (!meme) {
+    return { skipped: 'Meme no longer exists' };
+  }
+
+  // GIF and video memes are tagged from their poster frame
+  const memeStorage = getPosterStorage(meme);
+  if (!memeStorage) {
+    throw new Error('Meme has no stored image');
+  }
+  const base64Image = (await memeStorage.driver.get(memeStorage.id)).toString('base64');
+  // Posters are always JPEG; memes from before MIME sniffing were assumed to be JPEG too
+  const mimeType = meme.posterStorage ? 'image/jpeg' : (meme.mimeType || 'image/jpeg');
+
+  // Let provider errors propagate so the queue retries with backoff
+  const tags = await aiService.generateMemeTags(base64Image, mimeType);
+  const update = {
+    // Tags given at upload time come first and are always kept
+    tags: [...new Set([...(meme.tags || []), ...tags])].slice(0, Math.max(MAX_TAGS, (meme.tags || []).length)),
+    status: 'ready',
+    'aiFallback.tags': false,
+    enrichedAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  // The uploader may have written a description since the upload (PATCH /api/memes/:id)
+  let description;
+  if (generateDescription && !meme.description) {
+    description = (await aiService.generateMemeDescription(base64Image, mimeType)).toLowerCase(); // Convert to lowercase for consistency
+  }
+
+  // Moderate the final text, including AI generated tags and description
+  if (meme.moderationStatus === 'pending') {
+    const moderation = await moderateMeme({
+      imageBase64: base64Image,
+      mimeType,
+      title: meme.title,
+      description: description ?? meme.description,
+      tags: update.tags
+    });
+    update.moderationStatus = moderation.status;
+    update['moderation.scores'] = moderation.scores;
+    update['moderation.reasons'] = moderation.reasons;
+    update['moderation.checkedAt'] = new Date();
+  }
+
+  await memes.updateOne({ _id: memeId }, { $set: update });
+  if (update.moderationStatus === 'approved') {
+    await Template.refreshMemeCount(meme.templateId);
+  }
+  if (description !== undefined && !(await setDescriptionIfEmpty(memes, memeId, description, false))) {
+    description = undefined;
+  }
+
+  return { tags: update.tags, description, moderationStatus: update.moderationStatus };
+};
+
+// Out of retries: keep the meme usable with placeholder values that are
+// clearly marked as fallbacks
+const onDead = async (job, error) => {
+  const { memeId, generateDescription } = job.payload;
+  const memes = await Meme.getCollection();
+
+  const meme = await memes.findOne({ _id: memeId }, { projection: { tags: 1, moderationStatus: 1 } });
+  if (!meme) {
+    return;
+  }
+
+  const update = {
+    status: 'failed',
+    enrichmentError: error.message,
+    updatedAt: new Date()
+  };
+
+  // Tags given at upload time are good enough; only untagged memes get the fallback
+  if (!meme.tags || meme.tags.length === 0) {
+    update.tags = FALLBACK_TAGS;
+    update['aiFallback.tags'] = true;
+  }
+
+  // Never publish a meme that wasn't checked; an admin has to look at it
+  if (meme.moderationStatus === 'pending') {
+    update.moderationStatus = 'flagged';
+    update['moderation.reasons'] = ['Automated moderation failed'];
+    update['moderation.checkedAt'] = new Date();
+  }
+
+  await memes.updateOne({ _id: memeId }, { $set: update });
+  if (generateDescription) {
+    await setDescriptionIfEmpty(memes, memeId, FALLBACK_DESCRIPTION, true);
+  }
+};
+
+module.exports = {
+  JOB_TYPE,
+  enqueueEnrichment,
+  run,
+  onDead
+};
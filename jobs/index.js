@@ -0,0 +1,20 @@
+const queue = require('./queue');
+const enrichMeme = require('./enrichMeme');
+const refreshTrending = require('./refreshTrending');
+
+// Job type -> handler ({ run, onDead }) for every background job the API uses
+const handlers = {
+  [enrichMeme.JOB_TYPE]: enrichMeme,
+  [refreshTrending.JOB_TYPE]: refreshTrending
+};
+
+const startJobWorker = (options) => {
+  refreshTrending.ensureScheduled()
+    .catch(error => console.error('Failed to schedule trending refresh:', error));
+  return queue.startWorker(handlers, options);
+};
+
+module.exports = {
+  handlers,
+  startJobWorker
+};
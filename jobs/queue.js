@@ -0,0 +1,252 @@
+const os = require('os');
+const connectToDB = require('../db');
+
+// Persistent job queue stored in the `jobs` collection.
+//
+// Job lifecycle:
+//   pending -> running -> completed
+//                      -> pending (retry after exponential backoff)
+//                      -> dead    (maxAttempts reached, kept for inspection)
+// A running job whose lock is older than LOCK_TIMEOUT_MS is assumed to belong
+// to a crashed worker and can be claimed again, or is dead-lettered if that
+// was its last attempt.
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS ?? '5');
+const BASE_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS ?? String(30 * 1000));
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+let indexesCreated;
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const jobs = db.collection('jobs');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      jobs.createIndex({ status: 1, runAt: 1 }),
+      jobs.createIndex({ type: 1, 'payload.memeId': 1, createdAt: -1 })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create job indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return jobs;
+};
+
+// Delay before retrying after `attempts` failed attempts: base * 2^(attempts - 1) plus jitter
+const backoffDelay = (attempts) => {
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+  return delay + Math.floor(Math.random() * BASE_BACKOFF_MS * 0.1);
+};
+
+const enqueue = async (type, payload, { maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = new Date() } = {}) => {
+  const jobs = await getCollection();
+  const now = new Date();
+
+  const job = {
+    type,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts,
+    runAt,
+    lockedAt: null,
+    lockedBy: null,
+    lastError: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const result = await jobs.insertOne(job);
+  return { ...job, _id: result.insertedId };
+};
+
+// Atomically claim the next due job, or return null if there is none
+const claimNext = async (workerId, types) => {
+  const jobs = await getCollection();
+  const now = new Date();
+
+  const result = await jobs.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        {
+          status: 'running',
+          lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: workerId, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, returnDocument: 'after' }
+  );
+
+  return result.value;
+};
+
+// Dead-letter one job whose worker crashed during its last attempt, returning
+// it, or null if there is none
+const deadLetterAbandoned = async (types) => {
+  const jobs = await getCollection();
+  const now = new Date();
+
+  const result = await jobs.findOneAndUpdate(
+    {
+      type: { $in: types },
+      status: 'running',
+      lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    {
+      $set: {
+        status: 'dead',
+        lastError: 'Worker stopped during the last attempt',
+        lockedAt: null,
+        lockedBy: null,
+        updatedAt: now
+      }
+    },
+    { returnDocument: 'after' }
+  );
+
+  return result.value;
+};
+
+const complete = async (job, result = null) => {
+  const jobs = await getCollection();
+  const now = new Date();
+
+  await jobs.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        status: 'completed',
+        result,
+        lockedAt: null,
+        lockedBy: null,
+        completedAt: now,
+        updatedAt: now
+      }
+    }
+  );
+};
+
+// Schedule a retry, or move the job to the dead-letter state when out of attempts.
+// Returns the job's new status.
+const fail = async (job, error) => {
+  const jobs = await getCollection();
+  const now = new Date();
+  const isDead = job.attempts >= job.maxAttempts;
+
+  await jobs.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        status: isDead ? 'dead' : 'pending',
+        runAt: isDead ? job.runAt : new Date(now.getTime() + backoffDelay(job.attempts)),
+        lastError: error.message,
+        lockedAt: null,
+        lockedBy: null,
+        updatedAt: now
+      }
+    }
+  );
+
+  return isDead ? 'dead' : 'pending';
+};
+
+// Whether a job of `type` is waiting or running (e.g. to keep one recurring job scheduled)
+const hasActive = async (type, statuses = ['pending', 'running']) => {
+  const jobs = await getCollection();
+  return (await jobs.countDocuments({ type, status: { $in: statuses } }, { limit: 1 })) > 0;
+};
+
+// Drop completed jobs of `type` that finished before `before`
+const purgeCompleted = async (type, before) => {
+  const jobs = await getCollection();
+  return jobs.deleteMany({ type, status: 'completed', completedAt: { $lt: before } });
+};
+
+// Most recent job of `type` for a meme
+const findLatestForMeme = async (type, memeId) => {
+  const jobs = await getCollection();
+  return jobs.findOne({ type, 'payload.memeId': memeId }, { sort: { createdAt: -1 } });
+};
+
+// Poll for due jobs and run them one at a time.
+// `handlers` maps job type to { run(job), onDead?(job, error) }.
+// Returns a function that stops the worker.
+const startWorker = (handlers, { pollInterval = 5000 } = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const types = Object.keys(handlers);
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    let job = null;
+    let abandoned = null;
+
+    try {
+      abandoned = await deadLetterAbandoned(types);
+      if (abandoned) {
+        console.error(`Job ${abandoned._id} (${abandoned.type}) dead-lettered after its worker stopped`);
+        if (handlers[abandoned.type].onDead) {
+          await handlers[abandoned.type].onDead(abandoned, new Error(abandoned.lastError));
+        }
+      } else {
+        job = await claimNext(workerId, types);
+      }
+      if (job) {
+        const result = await handlers[job.type].run(job);
+        await complete(job, result);
+      }
+    } catch (error) {
+      if (job) {
+        console.error(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}:`, error.message);
+        try {
+          const status = await fail(job, error);
+          if (status === 'dead' && handlers[job.type].onDead) {
+            await handlers[job.type].onDead(job, error);
+          }
+        } catch (failError) {
+          console.error('Failed to record job failure:', failError);
+        }
+      } else {
+        console.error('Job worker error:', error);
+      }
+    }
+
+    // Keep draining while there is work, otherwise wait for the next poll
+    if (!stopped) {
+      timer = setTimeout(tick, job || abandoned ? 0 : pollInterval);
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+  console.log(`👷 Job worker ${workerId} started for: ${types.join(', ')}`);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+module.exports = {
+  enqueue,
+  claimNext,
+  complete,
+  fail,
+  backoffDelay,
+  hasActive,
+  purgeCompleted,
+  findLatestForMeme,
+  startWorker
+};
@@ -0,0 +1,45 @@
+const queue = require('./queue');
+const { refreshAll, TRENDING_REFRESH_MINUTES } = require('../services/trending');
+
+// Recomputes the trending rankings for every window. The job reschedules
+// itself when done, so exactly one refresh is always waiting in the queue.
+const JOB_TYPE = 'refresh-trending';
+
+const REFRESH_INTERVAL_MS = TRENDING_REFRESH_MINUTES * 60 * 1000;
+// Completed refresh jobs pile up quickly; keep a day of them for inspection
+const COMPLETED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const scheduleNext = async () => {
+  if (await queue.hasActive(JOB_TYPE, ['pending'])) return;
+  await queue.enqueue(JOB_TYPE, {}, { maxAttempts: 3, runAt: new Date(Date.now() + REFRESH_INTERVAL_MS) });
+};
+
+// Start the refresh cycle if it isn't running yet (called when a worker starts)
+const ensureScheduled = async () => {
+  if (await queue.hasActive(JOB_TYPE)) return;
+  await queue.enqueue(JOB_TYPE, {}, { maxAttempts: 3 });
+};
+
+const run = async () => {
+  const rankings = await refreshAll();
+
+  await scheduleNext();
+  await queue.purgeCompleted(JOB_TYPE, new Date(Date.now() - COMPLETED_RETENTION_MS));
+
+  return Object.fromEntries(Object.entries(rankings).map(([window, ranking]) => [
+    window,
+    { memes: ranking.memes.length, tags: ranking.tags.length }
+  ]));
+};
+
+// Out of retries: try again next interval rather than stopping the cycle
+const onDead = async () => {
+  await scheduleNext();
+};
+
+module.exports = {
+  JOB_TYPE,
+  ensureScheduled,
+  run,
+  onDead
+};
@@ -1,6 +1,15 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Issue a signed JWT for a user
+const generateToken = (user) => {
+  return jwt.sign(
+    { id: user._id.toString(), email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: '7d' }
+  );
+};
+
 const authenticate = async (req, res, next) => {
   try {
     // Check for session-based authentication (OAuth)
@@ -61,7 +70,20 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Restrict a route to admins (must run after authenticate)
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required.'
+    });
+  }
+  next();
+};
+
 module.exports = {
+  generateToken,
   authenticate,
-  optionalAuth
+  optionalAuth,
+  requireAdmin
 };
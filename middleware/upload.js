@@ -1,25 +1,123 @@
 const multer = require('multer');
 const path = require('path');
+const { MAX_IMAGE_SIZE, MAX_VIDEO_SIZE, isAllowedType } = require('../utils/media');
+const { isValidImageType } = require('../utils/helpers');
 
 // Configure multer for memory storage (we'll upload directly to Cloudinary)
 const storage = multer.memoryStorage();
 
-// File filter to accept only images
+// File filter to accept images, GIFs and short MP4/WebM videos. This only
+// looks at the client-supplied type; utils/media.js sniffs the real one.
 const fileFilter = (req, file, cb) => {
-  // Accept only image files
-  if (file.mimetype.startsWith('image/')) {
+  if (isAllowedType(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed!'), false);
+    cb(new Error('Only image, GIF, MP4 and WebM files are allowed!'), false);
   }
 };
 
-// Multer configuration
-const upload = multer({
+// Record the size limit of the route for handleMulterError's message
+const withSizeLimit = (instance, maxSize) => ({
+  single: (field) => [(req, res, next) => {
+    req.maxUploadSize = maxSize;
+    next();
+  }, instance.single(field)]
+});
+
+// Multer configuration for meme uploads, the only route that takes videos
+const upload = withSizeLimit(multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: MAX_VIDEO_SIZE, // per-type limits are checked in utils/media.js
+  }
+}), MAX_VIDEO_SIZE);
+
+const imageFileFilter = (req, file, cb) => {
+  if (isValidImageType(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image and GIF files are allowed!'), false);
+  }
+};
+
+// Routes that only work on images (templates, searches, AI analysis) refuse
+// anything over the image limit while it streams in
+const imageUpload = withSizeLimit(multer({
+  storage: storage,
+  fileFilter: imageFileFilter,
+  limits: {
+    fileSize: MAX_IMAGE_SIZE
+  }
+}), MAX_IMAGE_SIZE);
+
+const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024;
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/x-zip', 'application/octet-stream'];
+
+// Batch uploads take media files in `memes` or a single zip in `archive`
+const batchFileFilter = (req, file, cb) => {
+  if (file.fieldname === 'archive') {
+    if (ZIP_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('The archive must be a zip file!'), false);
+    }
+    return;
+  }
+  fileFilter(req, file, cb);
+};
+
+// Most a single batch request may upload across all of its files
+const MAX_BATCH_REQUEST_SIZE = parseInt(process.env.BATCH_MAX_REQUEST_SIZE_MB ?? '150') * 1024 * 1024;
+
+const BATCH_FIELD_LIMITS = {
+  memes: MAX_VIDEO_SIZE,
+  archive: MAX_ARCHIVE_SIZE
+};
+
+// Memory storage that enforces the per-field limit and the request total while
+// files stream in, so an oversized batch is refused before it is buffered
+const batchStorage = {
+  _handleFile(req, file, cb) {
+    const fieldLimit = BATCH_FIELD_LIMITS[file.fieldname] ?? MAX_VIDEO_SIZE;
+    const chunks = [];
+    let size = 0;
+    let done = false;
+
+    const finish = (error, info) => {
+      if (done) return;
+      done = true;
+      if (error) file.stream.resume();
+      cb(error, info);
+    };
+
+    file.stream.on('data', (chunk) => {
+      if (done) return;
+      size += chunk.length;
+      req.batchUploadBytes = (req.batchUploadBytes || 0) + chunk.length;
+      if (size > fieldLimit) {
+        return finish(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+      }
+      if (req.batchUploadBytes > MAX_BATCH_REQUEST_SIZE) {
+        return finish(new Error(`Batch too large. Maximum total size is ${MAX_BATCH_REQUEST_SIZE / (1024 * 1024)}MB.`));
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on('error', (error) => finish(error));
+    file.stream.on('end', () => finish(null, { buffer: Buffer.concat(chunks, size), size }));
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  }
+};
+
+const batchUpload = multer({
+  storage: batchStorage,
+  fileFilter: batchFileFilter,
+  limits: {
+    fileSize: Math.max(MAX_VIDEO_SIZE, MAX_ARCHIVE_SIZE)
   }
 });
 
@@ -29,7 +127,7 @@ const handleMulterError = (error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        message: 'File too large. Maximum size is 10MB.'
+        message: `File too large. Maximum size is ${(error.field === 'archive' ? MAX_ARCHIVE_SIZE : req.maxUploadSize || MAX_VIDEO_SIZE) / (1024 * 1024)}MB.`
       });
     }
     return res.status(400).json({
@@ -50,5 +148,7 @@ const handleMulterError = (error, req, res, next) => {
 
 module.exports = {
   upload,
+  imageUpload,
+  batchUpload,
   handleMulterError
 };
@@ -0,0 +1,44 @@
+const connectToDB = require('../db');
+
+// Append-only record of moderation decisions on memes: admin reviews,
+// automatic hiding after reports, report resolutions and takedowns.
+// `actor` is the admin's user id, or null for automatic actions.
+let indexesCreated;
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const auditLog = db.collection('audit_log');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      auditLog.createIndex({ memeId: 1, createdAt: -1 }),
+      auditLog.createIndex({ createdAt: -1 })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create audit log indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return auditLog;
+};
+
+const record = async ({ memeId, action, actor = null, reason = null, details = {} }) => {
+  const auditLog = await getCollection();
+  const entry = { memeId, action, actor, reason, details, createdAt: new Date() };
+  const result = await auditLog.insertOne(entry);
+  return { ...entry, _id: result.insertedId };
+};
+
+// Most recent entries first
+const findForMeme = async (memeId, { limit = 100 } = {}) => {
+  const auditLog = await getCollection();
+  return auditLog.find({ memeId }).sort({ createdAt: -1 }).limit(limit).toArray();
+};
+
+module.exports = {
+  getCollection,
+  record,
+  findForMeme
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const connectToDB = require('../db');
+
+// Boards are named, user-owned collections of memes. Entries live in their own
+// collection (board_memes) so a board can hold any number of memes and be
+// paged through in the order they were added.
+//
+// Public boards are visible to everyone; private ones only to their owner and
+// to anyone holding the board's share link.
+const BOARD_VISIBILITIES = ['public', 'private'];
+
+let indexesCreated;
+
+const getCollections = async () => {
+  const db = await connectToDB();
+  const boards = db.collection('boards');
+  const entries = db.collection('board_memes');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      // Board names are unique per owner, ignoring case
+      boards.createIndex({ owner: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } }),
+      boards.createIndex({ owner: 1, updatedAt: -1 }),
+      boards.createIndex({ shareToken: 1 }, { unique: true, sparse: true }),
+      entries.createIndex({ boardId: 1, memeId: 1 }, { unique: true }),
+      entries.createIndex({ boardId: 1, createdAt: -1 }),
+      entries.createIndex({ memeId: 1 })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create board indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return { boards, entries };
+};
+
+const generateShareToken = () => crypto.randomBytes(16).toString('base64url');
+
+// Owners see their boards; everyone else only public ones
+const canViewBoard = (board, user) => {
+  if (board.visibility === 'public') return true;
+  return Boolean(user) && String(board.owner) === String(user._id);
+};
+
+const isOwner = (board, user) => Boolean(user) && String(board.owner) === String(user._id);
+
+// Drop a deleted meme from every board it was on
+const removeMemeEverywhere = async (memeId) => {
+  const { boards, entries } = await getCollections();
+  const boardIds = await entries.distinct('boardId', { memeId });
+  if (boardIds.length === 0) return;
+
+  await entries.deleteMany({ memeId });
+  await boards.updateMany({ _id: { $in: boardIds } }, { $inc: { memeCount: -1 } });
+};
+
+// Share details are only shown to the owner
+const formatBoardResponse = (board, user = null) => {
+  const response = {
+    id: board._id,
+    name: board.name,
+    description: board.description,
+    visibility: board.visibility,
+    owner: board.owner,
+    memeCount: board.memeCount || 0,
+    createdAt: board.createdAt,
+    updatedAt: board.updatedAt
+  };
+
+  if (isOwner(board, user)) {
+    response.shareToken = board.shareToken || null;
+    response.shareUrl = board.shareToken ? `${process.env.FRONTEND_URL}/boards/shared/${board.shareToken}` : null;
+  }
+
+  return response;
+};
+
+module.exports = {
+  BOARD_VISIBILITIES,
+  getCollections,
+  generateShareToken,
+  canViewBoard,
+  isOwner,
+  removeMemeEverywhere,
+  formatBoardResponse
+};
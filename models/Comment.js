@@ -0,0 +1,96 @@
+const connectToDB = require('../db');
+const Meme = require('./Meme');
+const { hasUserUpvoted } = require('../utils/helpers');
+
+// Comments on memes with one level of replies: top-level comments have
+// parentId null, replies point at a top-level comment. Comments go through
+// the same banned-word check as meme text; flagged ones are only visible to
+// their author and admins until reviewed.
+//
+// commentCount on memes and replyCount on comments only count public
+// (approved, not deleted) comments.
+const MAX_COMMENT_LENGTH = 1000;
+
+let indexesCreated;
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const comments = db.collection('comments');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      comments.createIndex({ memeId: 1, parentId: 1, createdAt: -1, _id: -1 }),
+      comments.createIndex({ memeId: 1, parentId: 1, upvotes: -1, _id: -1 }),
+      comments.createIndex({ parentId: 1, createdAt: 1, _id: 1 }),
+      comments.createIndex({ moderationStatus: 1, createdAt: 1 })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create comment indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return comments;
+};
+
+const isPublic = (comment) => comment.moderationStatus === 'approved' && !comment.deleted;
+
+// Comments `user` may see: approved ones plus their own
+const visibleFilter = (user) => {
+  if (!user) return { moderationStatus: 'approved' };
+  if (user.role === 'admin') return {};
+  return { $or: [{ moderationStatus: 'approved' }, { author: user._id }] };
+};
+
+// Normalise line endings, drop control characters and runs of blank lines
+const sanitizeBody = (body) => {
+  return body
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Add `delta` to the public comment counters a comment contributes to
+const adjustCounts = async (comment, delta) => {
+  const memes = await Meme.getCollection();
+  await memes.updateOne({ _id: comment.memeId }, { $inc: { commentCount: delta } });
+
+  if (comment.parentId) {
+    const comments = await getCollection();
+    await comments.updateOne({ _id: comment.parentId }, { $inc: { replyCount: delta } });
+  }
+};
+
+const deleteForMeme = async (memeId) => {
+  const comments = await getCollection();
+  return comments.deleteMany({ memeId });
+};
+
+const formatCommentResponse = (comment, userId = null) => ({
+  id: comment._id,
+  memeId: comment.memeId,
+  parentId: comment.parentId,
+  author: comment.author,
+  body: comment.deleted ? null : comment.body,
+  upvotes: comment.upvotes,
+  hasUpvoted: hasUserUpvoted(comment, userId),
+  replyCount: comment.replyCount || 0,
+  moderationStatus: comment.moderationStatus,
+  edited: Boolean(comment.editedAt),
+  deleted: Boolean(comment.deleted),
+  createdAt: comment.createdAt,
+  updatedAt: comment.updatedAt
+});
+
+module.exports = {
+  MAX_COMMENT_LENGTH,
+  getCollection,
+  isPublic,
+  visibleFilter,
+  sanitizeBody,
+  adjustCounts,
+  deleteForMeme,
+  formatCommentResponse
+};
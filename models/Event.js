@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const connectToDB = require('../db');
+
+// Timestamped interaction events: one document per view, upvote, download or
+// favorite. userId is null for anonymous views and downloads. Upvotes and
+// favorites that are taken back are removed, so the log reflects current state.
+//
+// Views and downloads can be repeated without limit, so they expire after
+// EVENT_RETENTION_DAYS (longer than the longest trending window), and a viewer
+// (user, or hashed IP when anonymous) counts one view and one download per meme
+// every VIEW_DEDUPE_MINUTES. Upvotes and favorites are one per user and meme and are kept.
+const EVENT_TYPES = ['view', 'upvote', 'download', 'favorite'];
+const EXPIRING_TYPES = ['view', 'download'];
+
+const EVENT_RETENTION_DAYS = Math.max(31, parseInt(process.env.EVENT_RETENTION_DAYS ?? '35'));
+const VIEW_DEDUPE_MINUTES = Math.max(1, parseInt(process.env.VIEW_DEDUPE_MINUTES ?? '30'));
+
+let indexesCreated;
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const events = db.collection('events');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      events.createIndex({ userId: 1, createdAt: -1 }),
+      events.createIndex({ memeId: 1, type: 1, userId: 1 }),
+      events.createIndex({ createdAt: -1 }),
+      events.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+      events.createIndex({ dedupeKey: 1 }, { unique: true, sparse: true })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create event indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return events;
+};
+
+// Returns false when `dedupeKey` was already recorded
+const record = async ({ type, memeId, userId = null, dedupeKey = null }) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  const now = new Date();
+  const event = { type, memeId, userId, createdAt: now };
+  if (EXPIRING_TYPES.includes(type)) {
+    event.expiresAt = new Date(now.getTime() + EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+  if (dedupeKey) {
+    event.dedupeKey = dedupeKey;
+  }
+
+  const events = await getCollection();
+  try {
+    await events.insertOne(event);
+    return true;
+  } catch (error) {
+    if (error.code === 11000 && dedupeKey) return false;
+    throw error;
+  }
+};
+
+// Key for one view or download of a meme by one viewer in the current
+// VIEW_DEDUPE_MINUTES bucket. Anonymous viewers are identified by a hash of
+// their IP, never the IP.
+const dedupeKeyOf = (type, { memeId, userId, ip }) => {
+  const viewer = userId
+    ? `user:${userId}`
+    : `ip:${crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 32)}`;
+  const bucket = Math.floor(Date.now() / (VIEW_DEDUPE_MINUTES * 60 * 1000));
+  return `${type}:${memeId}:${viewer}:${bucket}`;
+};
+
+// Take back an upvote or favorite
+const retract = async ({ type, memeId, userId }) => {
+  const events = await getCollection();
+  await events.deleteMany({ type, memeId, userId });
+};
+
+// Events are a side effect of the request; failing to log one never fails it
+const track = (event) => {
+  record(event).catch(error => console.error(`Failed to record ${event.type} event:`, error));
+};
+
+// Record a view unless this viewer already viewed the meme recently
+const trackView = ({ memeId, userId = null, ip }) => {
+  track({ type: 'view', memeId, userId, dedupeKey: dedupeKeyOf('view', { memeId, userId, ip }) });
+};
+
+// Record a download unless this viewer already downloaded the meme recently.
+// Resolves to false for a repeat; a failure to record is logged and counts.
+const trackDownload = async ({ memeId, userId = null, ip }) => {
+  try {
+    return await record({ type: 'download', memeId, userId, dedupeKey: dedupeKeyOf('download', { memeId, userId, ip }) });
+  } catch (error) {
+    console.error('Failed to record download event:', error);
+    return true;
+  }
+};
+
+const untrack = (event) => {
+  retract(event).catch(error => console.error(`Failed to retract ${event.type} event:`, error));
+};
+
+const deleteForMeme = async (memeId) => {
+  const events = await getCollection();
+  return events.deleteMany({ memeId });
+};
+
+module.exports = {
+  EVENT_TYPES,
+  EVENT_RETENTION_DAYS,
+  VIEW_DEDUPE_MINUTES,
+  getCollection,
+  record,
+  retract,
+  track,
+  trackView,
+  trackDownload,
+  untrack,
+  deleteForMeme
+};
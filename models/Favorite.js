@@ -0,0 +1,72 @@
+const connectToDB = require('../db');
+const Meme = require('./Meme');
+
+// Memes a user has favorited, one document per user and meme.
+// Memes keep a favoriteCount alongside upvotes.
+let indexesCreated;
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const favorites = db.collection('favorites');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      favorites.createIndex({ userId: 1, memeId: 1 }, { unique: true }),
+      favorites.createIndex({ userId: 1, createdAt: -1 }),
+      favorites.createIndex({ memeId: 1 })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create favorite indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return favorites;
+};
+
+// Returns true if the meme wasn't already a favorite
+const add = async (userId, memeId) => {
+  const favorites = await getCollection();
+  try {
+    await favorites.insertOne({ userId, memeId, createdAt: new Date() });
+  } catch (error) {
+    // Already a favorite
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  const memes = await Meme.getCollection();
+  await memes.updateOne({ _id: memeId }, { $inc: { favoriteCount: 1 } });
+  return true;
+};
+
+// Returns true if the meme was a favorite
+const remove = async (userId, memeId) => {
+  const favorites = await getCollection();
+  const result = await favorites.deleteOne({ userId, memeId });
+
+  if (result.deletedCount === 0) return false;
+
+  const memes = await Meme.getCollection();
+  await memes.updateOne({ _id: memeId }, { $inc: { favoriteCount: -1 } });
+  return true;
+};
+
+const isFavorite = async (userId, memeId) => {
+  const favorites = await getCollection();
+  return (await favorites.countDocuments({ userId, memeId }, { limit: 1 })) > 0;
+};
+
+const deleteForMeme = async (memeId) => {
+  const favorites = await getCollection();
+  return favorites.deleteMany({ memeId });
+};
+
+module.exports = {
+  getCollection,
+  add,
+  remove,
+  isFavorite,
+  deleteForMeme
+};
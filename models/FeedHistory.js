@@ -0,0 +1,63 @@
+const connectToDB = require('../db');
+
+// Memes already delivered to a user in their home feed, so later pages and
+// later visits don't show them again. Entries expire after FEED_SEEN_DAYS.
+const FEED_SEEN_DAYS = parseInt(process.env.FEED_SEEN_DAYS ?? '30');
+
+let indexesCreated;
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const history = db.collection('feed_history');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      history.createIndex({ userId: 1, memeId: 1 }, { unique: true }),
+      history.createIndex({ userId: 1, seenAt: -1 }),
+      history.createIndex({ seenAt: 1 }, { expireAfterSeconds: FEED_SEEN_DAYS * 24 * 60 * 60 })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create feed history indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return history;
+};
+
+const markSeen = async (userId, memeIds) => {
+  if (memeIds.length === 0) return;
+
+  const history = await getCollection();
+  const seenAt = new Date();
+  await history.bulkWrite(
+    memeIds.map(memeId => ({
+      updateOne: {
+        filter: { userId, memeId },
+        update: { $set: { seenAt } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+};
+
+// Which of `memeIds` the user has already seen, as a Set of id strings
+const findSeen = async (userId, memeIds) => {
+  if (memeIds.length === 0) return new Set();
+
+  const history = await getCollection();
+  const seen = await history.find(
+    { userId, memeId: { $in: memeIds } },
+    { projection: { memeId: 1 } }
+  ).toArray();
+  return new Set(seen.map(entry => String(entry.memeId)));
+};
+
+module.exports = {
+  FEED_SEEN_DAYS,
+  getCollection,
+  markSeen,
+  findSeen
+};
@@ -0,0 +1,74 @@
+const connectToDB = require('../db');
+
+// Users following creators (type 'user', target is the user id) and tags
+// (type 'tag', target is the lowercased tag).
+let indexesCreated;
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const follows = db.collection('follows');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      follows.createIndex({ userId: 1, type: 1, target: 1 }, { unique: true }),
+      follows.createIndex({ type: 1, target: 1 })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create follow indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return follows;
+};
+
+// Returns true if this created the follow
+const follow = async (userId, type, target) => {
+  const follows = await getCollection();
+  try {
+    await follows.insertOne({ userId, type, target, createdAt: new Date() });
+  } catch (error) {
+    // Already following
+    if (error.code === 11000) return false;
+    throw error;
+  }
+  return true;
+};
+
+// Returns true if the user was following
+const unfollow = async (userId, type, target) => {
+  const follows = await getCollection();
+  const result = await follows.deleteOne({ userId, type, target });
+  return result.deletedCount > 0;
+};
+
+const isFollowing = async (userId, type, target) => {
+  const follows = await getCollection();
+  return (await follows.countDocuments({ userId, type, target }, { limit: 1 })) > 0;
+};
+
+// Everything a user follows: { users: [ObjectId], tags: [String] }
+const findFollowing = async (userId) => {
+  const follows = await getCollection();
+  const results = await follows.find({ userId }).sort({ createdAt: -1 }).toArray();
+
+  return {
+    users: results.filter(result => result.type === 'user').map(result => result.target),
+    tags: results.filter(result => result.type === 'tag').map(result => result.target)
+  };
+};
+
+const countFollowers = async (type, target) => {
+  const follows = await getCollection();
+  return follows.countDocuments({ type, target });
+};
+
+module.exports = {
+  getCollection,
+  follow,
+  unfollow,
+  isFollowing,
+  findFollowing,
+  countFollowers
+};
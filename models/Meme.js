@@ -0,0 +1,133 @@
+const connectToDB = require('../db');
+const { HASH_BANDS, hashBands, hammingDistance } = require('../utils/imageHash');
+
+// Memes are accessed through the shared connectToDB() driver; this module
+// owns the collection's indexes so routes don't have to.
+let indexesCreated;
+
+// Memes that may appear in public listings. Memes from before moderation have
+// no moderationStatus and stay visible; pending, flagged and rejected ones
+// are only shown to their uploader and admins.
+const PUBLIC_FILTER = { moderationStatus: { $in: [null, 'approved'] } };
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const memes = db.collection('memes');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      // Full-text search over description and tags (description weighs more)
+      memes.createIndex(
+        { description: 'text', tags: 'text' },
+        { name: 'meme_text_search', weights: { description: 2, tags: 1 }, default_language: 'english' }
+      ),
+      memes.createIndex({ tags: 1, createdAt: -1 }),
+      memes.createIndex({ createdAt: -1 }),
+      // Only memes made from a template are indexed
+      memes.createIndex(
+        { templateId: 1, createdAt: -1 },
+        { name: 'templateId_createdAt_partial', partialFilterExpression: { templateId: { $exists: true } } }
+      ),
+      memes.createIndex({ uploadedBy: 1, createdAt: -1 }),
+      memes.createIndex({ moderationStatus: 1, createdAt: 1 }),
+      // Near-duplicate prefilter, see findByPerceptualHash
+      memes.createIndex({ phashBands: 1 })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create meme indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return memes;
+};
+
+// Find memes whose perceptual hash is within `maxDistance` bits of `phash`,
+// closest first. Hashes can't be compared inside MongoDB, so only the hashes
+// are streamed and the requested page of documents is fetched afterwards.
+// Close matches (fewer bits than there are hash bands) only need the memes
+// sharing a band with `phash`; wider searches compare every stored hash.
+// Memes stored before bands existed are always compared, and get their bands
+// filled in on the way.
+const findByPerceptualHash = async (phash, maxDistance, { skip = 0, limit = 10, filter = {} } = {}) => {
+  const memes = await getCollection();
+
+  const matches = [];
+  const missingBands = [];
+  const cursor = memes.find(
+    {
+      ...filter,
+      phash: { $exists: true, $ne: null },
+      ...(maxDistance < HASH_BANDS && {
+        $or: [{ phashBands: { $in: hashBands(phash) } }, { phashBands: { $exists: false } }]
+      })
+    },
+    { projection: { phash: 1, phashBands: 1, upvotes: 1 } }
+  );
+
+  for await (const doc of cursor) {
+    const distance = hammingDistance(phash, doc.phash);
+    if (distance <= maxDistance) {
+      matches.push({ _id: doc._id, distance, upvotes: doc.upvotes || 0 });
+    }
+    if (!doc.phashBands) {
+      missingBands.push({
+        updateOne: { filter: { _id: doc._id }, update: { $set: { phashBands: hashBands(doc.phash) } } }
+      });
+    }
+  }
+
+  if (missingBands.length > 0) {
+    await memes.bulkWrite(missingBands, { ordered: false }).catch((error) => {
+      console.error('Failed to store perceptual hash bands:', error);
+    });
+  }
+
+  // Closest first, more popular memes win ties
+  matches.sort((a, b) => a.distance - b.distance || b.upvotes - a.upvotes);
+  const page = matches.slice(skip, skip + limit);
+  if (page.length === 0) return { matches: [], total: matches.length };
+
+  const docs = await memes.find({ _id: { $in: page.map(match => match._id) } }).toArray();
+  const docsById = new Map(docs.map(doc => [String(doc._id), doc]));
+
+  return {
+    matches: page
+      .filter(match => docsById.has(String(match._id)))
+      .map(match => ({ meme: docsById.get(String(match._id)), distance: match.distance })),
+    total: matches.length
+  };
+};
+
+// Page through the public memes referenced by `memeId` in another collection
+// (favorites, board entries), most recently added first. Links to memes that
+// were hidden or deleted are skipped.
+const findLinkedMemes = async (links, match, { skip = 0, limit = 20 } = {}) => {
+  const [result] = await links.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $lookup: { from: 'memes', localField: 'memeId', foreignField: '_id', as: 'meme' } },
+    { $unwind: '$meme' },
+    { $replaceWith: '$meme' },
+    { $match: PUBLIC_FILTER },
+    {
+      $facet: {
+        memes: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]).toArray();
+
+  return {
+    memes: result.memes,
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+module.exports = {
+  PUBLIC_FILTER,
+  getCollection,
+  findByPerceptualHash,
+  findLinkedMemes
+};
@@ -0,0 +1,73 @@
+const connectToDB = require('../db');
+
+// Viewer reports against memes. A user can have one open report per meme;
+// once their report is resolved they may report the meme again.
+const REPORT_REASONS = ['stolen', 'offensive', 'copyright', 'spam', 'other'];
+
+let indexesCreated;
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const reports = db.collection('reports');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      reports.createIndex(
+        { memeId: 1, reportedBy: 1 },
+        { unique: true, partialFilterExpression: { status: 'open' } }
+      ),
+      reports.createIndex({ status: 1, createdAt: 1 })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create report indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return reports;
+};
+
+const countOpenForMeme = async (memeId) => {
+  const reports = await getCollection();
+  return reports.countDocuments({ memeId, status: 'open' });
+};
+
+// Resolve every open report against a meme. Returns the number resolved.
+const resolveOpenForMeme = async (memeId, { action, reason = null, resolvedBy }) => {
+  const reports = await getCollection();
+  const now = new Date();
+  const result = await reports.updateMany(
+    { memeId, status: 'open' },
+    {
+      $set: {
+        status: 'resolved',
+        resolution: { action, reason, resolvedBy },
+        resolvedAt: now,
+        updatedAt: now
+      }
+    }
+  );
+  return result.modifiedCount;
+};
+
+// Shape returned to admins
+const formatReportResponse = (report) => ({
+  id: report._id,
+  memeId: report.memeId,
+  reportedBy: report.reportedBy,
+  reason: report.reason,
+  comment: report.comment,
+  status: report.status,
+  resolution: report.resolution || null,
+  createdAt: report.createdAt,
+  resolvedAt: report.resolvedAt || null
+});
+
+module.exports = {
+  REPORT_REASONS,
+  getCollection,
+  countOpenForMeme,
+  resolveOpenForMeme,
+  formatReportResponse
+};
@@ -0,0 +1,75 @@
+const connectToDB = require('../db');
+const Meme = require('./Meme');
+const { canViewMeme } = require('../utils/helpers');
+
+// Meme templates: blank images with named text slots that memes can be
+// generated from (see routes/templates.js)
+let indexesCreated;
+
+// Templates that may be listed publicly; like memes, flagged and rejected ones
+// are only shown to their creator and admins, and templates from before
+// moderation stay visible
+const PUBLIC_FILTER = { moderationStatus: { $in: [null, 'approved'] } };
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const templates = db.collection('templates');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      templates.createIndex(
+        { name: 'text', tags: 'text', description: 'text' },
+        { name: 'template_text_search', weights: { name: 3, tags: 2, description: 1 } }
+      ),
+      templates.createIndex({ memeCount: -1, createdAt: -1 }),
+      templates.createIndex({ createdAt: -1 }),
+      templates.createIndex({ moderationStatus: 1, createdAt: 1 })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create template indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return templates;
+};
+
+// The derived meme counter only counts public memes, so it is recounted
+// whenever a meme made from the template is deleted or its moderation
+// status changes. Memes without a template are ignored.
+const refreshMemeCount = async (templateId) => {
+  if (!templateId) return;
+
+  const memes = await Meme.getCollection();
+  const memeCount = await memes.countDocuments({ templateId, ...Meme.PUBLIC_FILTER });
+  const templates = await getCollection();
+  await templates.updateOne({ _id: templateId }, { $set: { memeCount } });
+};
+
+const canViewTemplate = (template, user) => {
+  return canViewMeme({ uploadedBy: template.createdBy, moderationStatus: template.moderationStatus }, user);
+};
+
+// Shape returned by the template endpoints
+const formatTemplateResponse = (template) => ({
+  id: template._id,
+  name: template.name,
+  description: template.description,
+  tags: template.tags,
+  image_url: template.image_url,
+  slots: template.slots,
+  memeCount: template.memeCount || 0,
+  moderationStatus: template.moderationStatus || 'approved',
+  createdBy: template.createdBy,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+module.exports = {
+  PUBLIC_FILTER,
+  getCollection,
+  canViewTemplate,
+  refreshMemeCount,
+  formatTemplateResponse
+};
@@ -0,0 +1,27 @@
+const connectToDB = require('../db');
+
+// Precomputed trending rankings, one document per window (hour, day, week,
+// month) holding the top memes and tags. Written by services/trending.js.
+const getCollection = async () => {
+  const db = await connectToDB();
+  return db.collection('trending_rankings');
+};
+
+const findRanking = async (window) => {
+  const rankings = await getCollection();
+  return rankings.findOne({ _id: window });
+};
+
+// `source` is 'events', or 'lifetime' when the window had no events to rank
+const saveRanking = async (window, { memes, tags, source }, computedAt) => {
+  const rankings = await getCollection();
+  const ranking = { _id: window, memes, tags, source, computedAt };
+  await rankings.replaceOne({ _id: window }, ranking, { upsert: true });
+  return ranking;
+};
+
+module.exports = {
+  getCollection,
+  findRanking,
+  saveRanking
+};
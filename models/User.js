@@ -0,0 +1,157 @@
+const connectToDB = require('../db');
+const { toObjectId } = require('../utils/helpers');
+
+// Users live in the same database as memes and are accessed through the
+// shared connectToDB() driver rather than a mongoose model.
+let indexesCreated;
+
+// Usernames are optional, chosen by the user and used in profile URLs.
+// 24 hex characters are refused so they can't be mistaken for user ids.
+const USERNAME_PATTERN = /^[a-z][a-z0-9_]{2,29}$/;
+const RESERVED_USERNAMES = new Set(['me', 'admin', 'api', 'settings']);
+const MAX_BIO_LENGTH = 300;
+
+const isValidUsername = (username) => {
+  return USERNAME_PATTERN.test(username) && !/^[0-9a-f]{24}$/.test(username) && !RESERVED_USERNAMES.has(username);
+};
+
+const getCollection = async () => {
+  const db = await connectToDB();
+  const users = db.collection('users');
+
+  // Create indexes once per process, on first use
+  if (!indexesCreated) {
+    indexesCreated = Promise.all([
+      users.createIndex({ googleId: 1 }, { unique: true, sparse: true }),
+      users.createIndex({ localId: 1 }, { unique: true, sparse: true }),
+      users.createIndex({ email: 1 }),
+      users.createIndex({ username: 1 }, { unique: true, sparse: true })
+    ]).catch((error) => {
+      indexesCreated = null;
+      console.error('Failed to create user indexes:', error);
+    });
+  }
+  await indexesCreated;
+
+  return users;
+};
+
+const findById = async (id) => {
+  const objectId = toObjectId(id);
+  if (!objectId) return null;
+
+  const users = await getCollection();
+  return users.findOne({ _id: objectId });
+};
+
+const findByIds = async (ids) => {
+  const objectIds = ids.map(toObjectId).filter(Boolean);
+  if (objectIds.length === 0) return [];
+
+  const users = await getCollection();
+  return users.find({ _id: { $in: objectIds } }).toArray();
+};
+
+const findOne = async (query) => {
+  const users = await getCollection();
+  return users.findOne(query);
+};
+
+// Profile URLs take either a user id or a username
+const findByIdOrUsername = async (idOrUsername) => {
+  if (typeof idOrUsername !== 'string') return null;
+  if (/^[0-9a-f]{24}$/i.test(idOrUsername)) return findById(idOrUsername);
+  return findOne({ username: idOrUsername.toLowerCase() });
+};
+
+// Set a user's username and/or bio. A taken username throws with status 409.
+const updateProfile = async (userId, changes) => {
+  const users = await getCollection();
+  try {
+    const result = await users.findOneAndUpdate(
+      { _id: userId },
+      { $set: { ...changes, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    return result.value;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw Object.assign(new Error('That username is taken'), { status: 409 });
+    }
+    throw error;
+  }
+};
+
+// Find the user linked to an OAuth profile, creating them on first login.
+// `profile` follows the passport profile shape (id, displayName, emails, photos).
+const findOrCreateFromProfile = async (provider, profile) => {
+  const users = await getCollection();
+  const now = new Date();
+
+  const email = profile.emails && profile.emails[0] ? profile.emails[0].value.toLowerCase() : null;
+  const avatar = profile.photos && profile.photos[0] ? profile.photos[0].value : null;
+
+  const result = await users.findOneAndUpdate(
+    { [`${provider}Id`]: profile.id },
+    {
+      $set: {
+        email: email,
+        name: profile.displayName || email,
+        avatar: avatar,
+        lastLoginAt: now,
+        updatedAt: now
+      },
+      $setOnInsert: {
+        [`${provider}Id`]: profile.id,
+        role: 'user',
+        createdAt: now
+      }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  return result.value;
+};
+
+// Shape returned by /api/auth/user and /api/auth/verify
+const toPublicUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  username: user.username || null,
+  email: user.email,
+  avatar: user.avatar,
+  bio: user.bio || '',
+  role: user.role
+});
+
+// Shape used when showing a user next to their content (no email)
+const toAuthor = (user) => ({
+  id: user._id,
+  name: user.name,
+  username: user.username || null,
+  avatar: user.avatar
+});
+
+// Shape of public profiles (no email or role)
+const toProfile = (user) => ({
+  id: user._id,
+  name: user.name,
+  username: user.username || null,
+  avatar: user.avatar,
+  bio: user.bio || '',
+  joinedAt: user.createdAt
+});
+
+module.exports = {
+  MAX_BIO_LENGTH,
+  isValidUsername,
+  findById,
+  findByIds,
+  findOne,
+  findByIdOrUsername,
+  updateProfile,
+  findOrCreateFromProfile,
+  toPublicUser,
+  toAuthor,
+  toProfile
+};
@@ -0,0 +1,677 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { formatMemeResponse, toObjectId, validatePagination } = require('../utils/helpers');
+const Meme = require('../models/Meme');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const AuditLog = require('../models/AuditLog');
+const Comment = require('../models/Comment');
+const Template = require('../models/Template');
+
+const QUEUE_STATUSES = ['flagged', 'pending', 'rejected'];
+const REPORT_ACTIONS = ['dismiss', 'takedown'];
+const COMMENT_QUEUE_STATUSES = ['flagged', 'rejected'];
+const TEMPLATE_QUEUE_STATUSES = ['flagged', 'rejected'];
+
+// Every admin route needs a logged in admin
+router.use(authenticate, requireAdmin);
+
+// Moderation review queue, oldest first. `status` is flagged (default), pending or rejected.
+router.get('/moderation/queue', async (req, res) => {
+  try {
+    const { status = 'flagged' } = req.query;
+    if (!QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${QUEUE_STATUSES.join(', ')}`
+      });
+    }
+
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+
+    const memes = await Meme.getCollection();
+    const query = { moderationStatus: status };
+
+    const results = await memes.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await memes.countDocuments(query);
+
+    // Attach uploaders so reviewers can see who posted what
+    const uploaderIds = [...new Set(results.filter(meme => meme.uploadedBy).map(meme => String(meme.uploadedBy)))];
+    const uploaders = await Promise.all(uploaderIds.map(id => User.findById(id)));
+    const uploadersById = new Map(uploaders.filter(Boolean).map(user => [String(user._id), User.toAuthor(user)]));
+
+    res.json({
+      success: true,
+      status: status,
+      memes: results.map(meme => ({
+        ...formatMemeResponse(meme, req.user._id),
+        moderation: meme.moderation || null,
+        uploader: uploadersById.get(String(meme.uploadedBy)) || null
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: results.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get moderation queue',
+      error: error.message
+    });
+  }
+});
+
+// Approve or reject a meme. Rejections need a reason, which the uploader can see.
+const reviewMeme = (decision) => async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.id);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be at most 500 characters'
+      });
+    }
+    if (decision === 'rejected' && reason.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a meme'
+      });
+    }
+
+    const memes = await Meme.getCollection();
+    const now = new Date();
+
+    const result = await memes.findOneAndUpdate(
+      { _id: memeId },
+      {
+        $set: {
+          moderationStatus: decision,
+          'moderation.reviewedBy': req.user._id,
+          'moderation.reviewedAt': now,
+          'moderation.reviewReason': reason || null,
+          'moderation.hiddenByReports': false,
+          updatedAt: now
+        }
+      },
+      // The previous state tells whether reports had hidden the meme
+      { returnDocument: 'before' }
+    );
+
+    if (!result.value) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meme not found'
+      });
+    }
+    await Template.refreshMemeCount(result.value.templateId);
+
+    // Reviewing a meme that reports hid settles those reports too; left open,
+    // the next report would count them again and hide the meme straight away
+    let resolvedReports = 0;
+    if (result.value.moderation && result.value.moderation.hiddenByReports) {
+      resolvedReports = await Report.resolveOpenForMeme(memeId, {
+        action: decision === 'approved' ? 'dismiss' : 'takedown',
+        reason: reason || null,
+        resolvedBy: req.user._id
+      });
+    }
+
+    await AuditLog.record({
+      memeId,
+      action: decision === 'approved' ? 'approve' : 'reject',
+      actor: req.user._id,
+      reason: reason || null,
+      ...(resolvedReports > 0 && { details: { resolvedReports, hiddenByReports: true } })
+    });
+
+    const meme = await memes.findOne({ _id: memeId });
+
+    res.json({
+      success: true,
+      message: `Meme ${decision}`,
+      meme: {
+        ...formatMemeResponse(meme, req.user._id),
+        moderation: meme.moderation
+      },
+      resolvedReports: resolvedReports
+    });
+
+  } catch (error) {
+    console.error('Moderation review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review meme',
+      error: error.message
+    });
+  }
+};
+
+router.post('/moderation/:id/approve', reviewMeme('approved'));
+router.post('/moderation/:id/reject', reviewMeme('rejected'));
+
+// Reported memes, most reported first. `status` is open (default) or resolved.
+router.get('/reports', async (req, res) => {
+  try {
+    const { status = 'open' } = req.query;
+    if (!['open', 'resolved'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'status must be open or resolved'
+      });
+    }
+
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+
+    const reports = await Report.getCollection();
+    const [result] = await reports.aggregate([
+      { $match: { status } },
+      {
+        $group: {
+          _id: '$memeId',
+          count: { $sum: 1 },
+          reasons: { $push: '$reason' },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { count: -1, firstReportedAt: 1 } },
+      {
+        $facet: {
+          items: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]).toArray();
+
+    const memes = await Meme.getCollection();
+    const reportedMemes = await memes.find({ _id: { $in: result.items.map(item => item._id) } }).toArray();
+    const memesById = new Map(reportedMemes.map(meme => [String(meme._id), meme]));
+
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      success: true,
+      status: status,
+      reported: result.items.map(item => {
+        const meme = memesById.get(String(item._id));
+        // Count each reason category
+        const reasons = item.reasons.reduce((counts, reason) => {
+          counts[reason] = (counts[reason] || 0) + 1;
+          return counts;
+        }, {});
+
+        return {
+          memeId: item._id,
+          meme: meme ? { ...formatMemeResponse(meme, req.user._id), moderation: meme.moderation || null } : null,
+          reportCount: item.count,
+          reasons: reasons,
+          firstReportedAt: item.firstReportedAt,
+          lastReportedAt: item.lastReportedAt
+        };
+      }),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: result.items.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Reports list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get reports',
+      error: error.message
+    });
+  }
+});
+
+// Every report on a meme and its moderation audit trail
+router.get('/memes/:id/reports', async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.id);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    const reports = await Report.getCollection();
+    const [memeReports, auditLog] = await Promise.all([
+      reports.find({ memeId }).sort({ createdAt: -1 }).toArray(),
+      AuditLog.findForMeme(memeId)
+    ]);
+
+    res.json({
+      success: true,
+      memeId: memeId,
+      reports: memeReports.map(Report.formatReportResponse),
+      auditLog: auditLog.map(entry => ({
+        id: entry._id,
+        action: entry.action,
+        actor: entry.actor,
+        reason: entry.reason,
+        details: entry.details,
+        createdAt: entry.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Meme reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get meme reports',
+      error: error.message
+    });
+  }
+});
+
+// Resolve every open report on a meme.
+// `dismiss` keeps the meme (and restores it if reports hid it); `takedown`
+// removes it from the site. Both are recorded in the audit log.
+router.post('/reports/:memeId/resolve', async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.memeId);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    const { action } = req.body;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!REPORT_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `action must be one of: ${REPORT_ACTIONS.join(', ')}`
+      });
+    }
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be at most 500 characters'
+      });
+    }
+    if (action === 'takedown' && reason.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for a takedown'
+      });
+    }
+
+    const memes = await Meme.getCollection();
+    const meme = await memes.findOne({ _id: memeId });
+
+    if (!meme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meme not found'
+      });
+    }
+
+    const reports = await Report.getCollection();
+    const openReports = await reports.find({ memeId, status: 'open' }, { projection: { _id: 1 } }).toArray();
+
+    if (action === 'dismiss' && openReports.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'This meme has no open reports'
+      });
+    }
+
+    const now = new Date();
+    const memeUpdate = { updatedAt: now };
+
+    if (action === 'takedown') {
+      memeUpdate.moderationStatus = 'rejected';
+      memeUpdate['moderation.reviewedBy'] = req.user._id;
+      memeUpdate['moderation.reviewedAt'] = now;
+      memeUpdate['moderation.reviewReason'] = reason;
+      memeUpdate['moderation.takenDown'] = true;
+    } else if (meme.moderation && meme.moderation.hiddenByReports && meme.moderationStatus === 'flagged') {
+      // Reports were unfounded: put the meme back where it was
+      memeUpdate.moderationStatus = 'approved';
+      memeUpdate['moderation.hiddenByReports'] = false;
+    }
+
+    await reports.updateMany(
+      { _id: { $in: openReports.map(report => report._id) } },
+      {
+        $set: {
+          status: 'resolved',
+          resolution: {
+            action: action,
+            reason: reason || null,
+            resolvedBy: req.user._id
+          },
+          resolvedAt: now,
+          updatedAt: now
+        }
+      }
+    );
+
+    const result = await memes.findOneAndUpdate(
+      { _id: memeId },
+      { $set: memeUpdate },
+      { returnDocument: 'after' }
+    );
+    if (memeUpdate.moderationStatus) {
+      await Template.refreshMemeCount(meme.templateId);
+    }
+
+    const auditEntry = await AuditLog.record({
+      memeId,
+      action: action === 'takedown' ? 'takedown' : 'dismiss-reports',
+      actor: req.user._id,
+      reason: reason || null,
+      details: {
+        reportIds: openReports.map(report => report._id),
+        restored: memeUpdate.moderationStatus === 'approved'
+      }
+    });
+
+    res.json({
+      success: true,
+      message: action === 'takedown' ? 'Meme taken down' : 'Reports dismissed',
+      resolvedReports: openReports.length,
+      meme: {
+        ...formatMemeResponse(result.value, req.user._id),
+        moderation: result.value.moderation || null
+      },
+      auditEntryId: auditEntry._id
+    });
+
+  } catch (error) {
+    console.error('Resolve reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve reports',
+      error: error.message
+    });
+  }
+});
+
+// Comments held by the banned-word check, oldest first. `status` is flagged (default) or rejected.
+router.get('/comments/queue', async (req, res) => {
+  try {
+    const { status = 'flagged' } = req.query;
+    if (!COMMENT_QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${COMMENT_QUEUE_STATUSES.join(', ')}`
+      });
+    }
+
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+
+    const comments = await Comment.getCollection();
+    const query = { moderationStatus: status, deleted: { $ne: true } };
+
+    const results = await comments.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await comments.countDocuments(query);
+
+    const authors = await User.findByIds([...new Set(results.map(comment => String(comment.author)))]);
+    const authorsById = new Map(authors.map(user => [String(user._id), User.toAuthor(user)]));
+
+    res.json({
+      success: true,
+      status: status,
+      comments: results.map(comment => ({
+        ...Comment.formatCommentResponse(comment, req.user._id),
+        author: authorsById.get(String(comment.author)) || null,
+        moderation: comment.moderation || null
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: results.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Comment queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get comment queue',
+      error: error.message
+    });
+  }
+});
+
+// Approve or reject a comment; rejections need a reason
+const reviewComment = (decision) => async (req, res) => {
+  try {
+    const commentId = toObjectId(req.params.id);
+    if (!commentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID'
+      });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be at most 500 characters'
+      });
+    }
+    if (decision === 'rejected' && reason.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a comment'
+      });
+    }
+
+    const comments = await Comment.getCollection();
+    const now = new Date();
+
+    const result = await comments.findOneAndUpdate(
+      { _id: commentId },
+      {
+        $set: {
+          moderationStatus: decision,
+          'moderation.reviewedBy': req.user._id,
+          'moderation.reviewedAt': now,
+          'moderation.reviewReason': reason || null,
+          updatedAt: now
+        }
+      },
+      { returnDocument: 'before' }
+    );
+
+    const previous = result.value;
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const updated = { ...previous, moderationStatus: decision };
+    if (Comment.isPublic(previous) !== Comment.isPublic(updated)) {
+      await Comment.adjustCounts(previous, Comment.isPublic(updated) ? 1 : -1);
+    }
+
+    await AuditLog.record({
+      memeId: previous.memeId,
+      action: decision === 'approved' ? 'approve-comment' : 'reject-comment',
+      actor: req.user._id,
+      reason: reason || null,
+      details: { commentId }
+    });
+
+    res.json({
+      success: true,
+      message: `Comment ${decision}`,
+      comment: Comment.formatCommentResponse(updated, req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Comment review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review comment',
+      error: error.message
+    });
+  }
+};
+
+router.post('/comments/:id/approve', reviewComment('approved'));
+router.post('/comments/:id/reject', reviewComment('rejected'));
+
+// Templates held by the automated checks, oldest first. `status` is flagged (default) or rejected.
+router.get('/templates/queue', async (req, res) => {
+  try {
+    const { status = 'flagged' } = req.query;
+    if (!TEMPLATE_QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${TEMPLATE_QUEUE_STATUSES.join(', ')}`
+      });
+    }
+
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+
+    const templates = await Template.getCollection();
+    const query = { moderationStatus: status };
+
+    const results = await templates.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await templates.countDocuments(query);
+
+    res.json({
+      success: true,
+      status: status,
+      templates: results.map(template => ({
+        ...Template.formatTemplateResponse(template),
+        moderation: template.moderation || null
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: results.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Template queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get template queue',
+      error: error.message
+    });
+  }
+});
+
+// Approve or reject a template; rejections need a reason
+const reviewTemplate = (decision) => async (req, res) => {
+  try {
+    const templateId = toObjectId(req.params.id);
+    if (!templateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be at most 500 characters'
+      });
+    }
+    if (decision === 'rejected' && reason.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a template'
+      });
+    }
+
+    const templates = await Template.getCollection();
+    const now = new Date();
+
+    const result = await templates.findOneAndUpdate(
+      { _id: templateId },
+      {
+        $set: {
+          moderationStatus: decision,
+          'moderation.reviewedBy': req.user._id,
+          'moderation.reviewedAt': now,
+          'moderation.reviewReason': reason || null,
+          updatedAt: now
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!result.value) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    await AuditLog.record({
+      memeId: null,
+      action: decision === 'approved' ? 'approve-template' : 'reject-template',
+      actor: req.user._id,
+      reason: reason || null,
+      details: { templateId }
+    });
+
+    res.json({
+      success: true,
+      message: `Template ${decision}`,
+      template: Template.formatTemplateResponse(result.value)
+    });
+
+  } catch (error) {
+    console.error('Template review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review template',
+      error: error.message
+    });
+  }
+};
+
+router.post('/templates/:id/approve', reviewTemplate('approved'));
+router.post('/templates/:id/reject', reviewTemplate('rejected'));
+
+module.exports = router;
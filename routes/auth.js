@@ -1,22 +1,23 @@
 const express = require('express');
 const passport = require('passport');
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { authenticate, generateToken } = require('../middleware/auth');
 const router = express.Router();
 
-// Google OAuth routes
+// Google OAuth routes (served by the local stand-in when AUTH_PROVIDER=local)
 router.get('/google',
-  passport.authenticate('google', { scope: ['profile', 'email'] })
+  passport.authenticate('google', { scope: ['profile', 'email'], session: false })
 );
 
 router.get('/google/callback',
-  passport.authenticate('google', { failureRedirect: '/login' }),
+  passport.authenticate('google', {
+    session: false,
+    failureRedirect: `${process.env.FRONTEND_URL}/login`
+  }),
   (req, res) => {
     // Generate JWT token
-    const token = jwt.sign(
-      { id: req.user._id, email: req.user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const token = generateToken(req.user);
 
     // Redirect to frontend with token
     res.redirect(`${process.env.FRONTEND_URL}/auth/success?token=${token}`);
@@ -24,39 +25,18 @@ router.get('/google/callback',
 );
 
 // Get current user
-router.get('/user', (req, res) => {
-  if (req.user) {
-    res.json({
-      success: true,
-      user: {
-        id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        avatar: req.user.avatar,
-        role: req.user.role
-      }
-    });
-  } else {
-    res.status(401).json({
-      success: false,
-      message: 'Not authenticated'
-    });
-  }
+router.get('/user', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    user: User.toPublicUser(req.user)
+  });
 });
 
-// Logout
+// Logout - tokens are stateless, so the client just discards its token
 router.post('/logout', (req, res) => {
-  req.logout((err) => {
-    if (err) {
-      return res.status(500).json({
-        success: false,
-        message: 'Error logging out'
-      });
-    }
-    res.json({
-      success: true,
-      message: 'Logged out successfully'
-    });
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
   });
 });
 
@@ -73,7 +53,6 @@ router.post('/verify', async (req, res) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const User = require('../models/User');
     const user = await User.findById(decoded.id);
 
     if (!user) {
@@ -85,13 +64,7 @@ router.post('/verify', async (req, res) => {
 
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        avatar: user.avatar,
-        role: user.role
-      }
+      user: User.toPublicUser(user)
     });
   } catch (error) {
     res.status(401).json({
@@ -0,0 +1,673 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { formatMemeResponse, toObjectId, canViewMeme, validatePagination } = require('../utils/helpers');
+const Meme = require('../models/Meme');
+const Favorite = require('../models/Favorite');
+const Board = require('../models/Board');
+const User = require('../models/User');
+const Event = require('../models/Event');
+
+// Favorites and boards. Meme lists use the same shape as GET /api/memes.
+
+// Respond with a page of memes referenced from `links` (favorites or board entries)
+const sendMemePage = async (req, res, links, match, extra = {}) => {
+  const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+  const { memes, total } = await Meme.findLinkedMemes(links, match, { skip, limit });
+
+  res.json({
+    success: true,
+    ...extra,
+    memes: memes.map(meme => formatMemeResponse(meme, req.user?._id)),
+    pagination: {
+      current: page,
+      total: Math.ceil(total / limit),
+      count: memes.length,
+      totalItems: total
+    }
+  });
+};
+
+// Validate board fields. `partial` allows any of them to be missing (edits).
+// Returns { fields } or { error }.
+const readBoardFields = (body, partial) => {
+  const fields = {};
+  const { name, description, visibility } = body;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+      return { error: 'Name must be 1-100 characters' };
+    }
+    fields.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    if (typeof description !== 'string' || description.trim().length > 500) {
+      return { error: 'Description must be a string of at most 500 characters' };
+    }
+    fields.description = description.trim();
+  }
+
+  if (visibility !== undefined) {
+    if (!Board.BOARD_VISIBILITIES.includes(visibility)) {
+      return { error: `visibility must be one of: ${Board.BOARD_VISIBILITIES.join(', ')}` };
+    }
+    fields.visibility = visibility;
+  }
+
+  return { fields };
+};
+
+// Load a board by id for `user`. Returns { board } or { status, message }.
+const loadBoard = async (id, user, { ownerOnly = false } = {}) => {
+  const boardId = toObjectId(id);
+  if (!boardId) {
+    return { status: 400, message: 'Invalid board ID' };
+  }
+
+  const { boards } = await Board.getCollections();
+  const board = await boards.findOne({ _id: boardId });
+
+  // Private boards look missing to everyone but their owner
+  if (!board || !Board.canViewBoard(board, user)) {
+    return { status: 404, message: 'Board not found' };
+  }
+  if (ownerOnly && !Board.isOwner(board, user)) {
+    return { status: 403, message: 'You can only change your own boards' };
+  }
+
+  return { board };
+};
+
+const loadSharedBoard = async (token) => {
+  if (typeof token !== 'string' || token.length === 0) return null;
+  const { boards } = await Board.getCollections();
+  return boards.findOne({ shareToken: token });
+};
+
+// Find a meme `user` may save. Returns { memeId } or { status, message }.
+const loadSaveableMeme = async (id, user) => {
+  const memeId = toObjectId(id);
+  if (!memeId) {
+    return { status: 400, message: 'Invalid meme ID' };
+  }
+
+  const memes = await Meme.getCollection();
+  const meme = await memes.findOne({ _id: memeId }, { projection: { uploadedBy: 1, moderationStatus: 1 } });
+  if (!meme || !canViewMeme(meme, user)) {
+    return { status: 404, message: 'Meme not found' };
+  }
+
+  return { memeId };
+};
+
+const favoriteCount = async (memeId) => {
+  const memes = await Meme.getCollection();
+  const meme = await memes.findOne({ _id: memeId }, { projection: { favoriteCount: 1 } });
+  return meme ? meme.favoriteCount || 0 : 0;
+};
+
+// The signed in user's favorites, most recently favorited first
+router.get('/favorites', authenticate, async (req, res) => {
+  try {
+    const favorites = await Favorite.getCollection();
+    await sendMemePage(req, res, favorites, { userId: req.user._id });
+
+  } catch (error) {
+    console.error('Get favorites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get favorites',
+      error: error.message
+    });
+  }
+});
+
+router.post('/memes/:id/favorite', authenticate, async (req, res) => {
+  try {
+    const { memeId, status, message } = await loadSaveableMeme(req.params.id, req.user);
+    if (!memeId) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const added = await Favorite.add(req.user._id, memeId);
+    if (added) {
+      Event.track({ type: 'favorite', memeId, userId: req.user._id });
+    }
+
+    res.json({
+      success: true,
+      message: added ? 'Added to favorites' : 'Already in favorites',
+      memeId: memeId,
+      isFavorite: true,
+      favoriteCount: await favoriteCount(memeId)
+    });
+
+  } catch (error) {
+    console.error('Add favorite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add favorite',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/memes/:id/favorite', authenticate, async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.id);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    const removed = await Favorite.remove(req.user._id, memeId);
+    if (removed) {
+      Event.untrack({ type: 'favorite', memeId, userId: req.user._id });
+    }
+
+    res.json({
+      success: true,
+      message: removed ? 'Removed from favorites' : 'Not in favorites',
+      memeId: memeId,
+      isFavorite: false,
+      favoriteCount: await favoriteCount(memeId)
+    });
+
+  } catch (error) {
+    console.error('Remove favorite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove favorite',
+      error: error.message
+    });
+  }
+});
+
+// The signed in user's boards, recently updated first.
+// With `memeId`, each board says whether it already holds that meme.
+router.get('/boards', authenticate, async (req, res) => {
+  try {
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+    const { boards, entries } = await Board.getCollections();
+    const query = { owner: req.user._id };
+
+    const results = await boards.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await boards.countDocuments(query);
+
+    const memeId = toObjectId(req.query.memeId);
+    const boardsWithMeme = memeId
+      ? new Set((await entries.distinct('boardId', { memeId, boardId: { $in: results.map(board => board._id) } })).map(String))
+      : null;
+
+    res.json({
+      success: true,
+      boards: results.map(board => ({
+        ...Board.formatBoardResponse(board, req.user),
+        ...(boardsWithMeme ? { containsMeme: boardsWithMeme.has(String(board._id)) } : {})
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: results.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get boards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get boards',
+      error: error.message
+    });
+  }
+});
+
+// A user's public boards (all of them on your own profile). Takes a user id or username.
+router.get('/users/:id/boards', optionalAuth, async (req, res) => {
+  try {
+    const owner = await User.findByIdOrUsername(req.params.id);
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    const ownerId = owner._id;
+
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+    const { boards } = await Board.getCollections();
+
+    const query = { owner: ownerId };
+    if (!req.user || String(req.user._id) !== String(ownerId)) {
+      query.visibility = 'public';
+    }
+
+    const results = await boards.find(query)
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await boards.countDocuments(query);
+
+    res.json({
+      success: true,
+      boards: results.map(board => Board.formatBoardResponse(board, req.user)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: results.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user boards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get boards',
+      error: error.message
+    });
+  }
+});
+
+// Create a board: { name, description?, visibility? } (private by default)
+router.post('/boards', authenticate, async (req, res) => {
+  try {
+    const { fields, error } = readBoardFields(req.body, false);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { boards } = await Board.getCollections();
+    const now = new Date();
+    const board = {
+      name: fields.name,
+      description: fields.description || '',
+      visibility: fields.visibility || 'private',
+      owner: req.user._id,
+      memeCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    try {
+      const result = await boards.insertOne(board);
+      board._id = result.insertedId;
+    } catch (insertError) {
+      if (insertError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have a board with that name'
+        });
+      }
+      throw insertError;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Board created',
+      board: Board.formatBoardResponse(board, req.user)
+    });
+
+  } catch (error) {
+    console.error('Create board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create board',
+      error: error.message
+    });
+  }
+});
+
+// Boards reached through a share link, whatever their visibility
+router.get('/boards/shared/:token', optionalAuth, async (req, res) => {
+  try {
+    const board = await loadSharedBoard(req.params.token);
+    if (!board) {
+      return res.status(404).json({
+        success: false,
+        message: 'Board not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      board: Board.formatBoardResponse(board, req.user)
+    });
+
+  } catch (error) {
+    console.error('Get shared board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get board',
+      error: error.message
+    });
+  }
+});
+
+router.get('/boards/shared/:token/memes', optionalAuth, async (req, res) => {
+  try {
+    const board = await loadSharedBoard(req.params.token);
+    if (!board) {
+      return res.status(404).json({
+        success: false,
+        message: 'Board not found'
+      });
+    }
+
+    const { entries } = await Board.getCollections();
+    await sendMemePage(req, res, entries, { boardId: board._id }, {
+      board: Board.formatBoardResponse(board, req.user)
+    });
+
+  } catch (error) {
+    console.error('Get shared board memes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get board memes',
+      error: error.message
+    });
+  }
+});
+
+router.get('/boards/:id', optionalAuth, async (req, res) => {
+  try {
+    const { board, status, message } = await loadBoard(req.params.id, req.user);
+    if (!board) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      board: Board.formatBoardResponse(board, req.user)
+    });
+
+  } catch (error) {
+    console.error('Get board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get board',
+      error: error.message
+    });
+  }
+});
+
+// A board's memes, most recently added first
+router.get('/boards/:id/memes', optionalAuth, async (req, res) => {
+  try {
+    const { board, status, message } = await loadBoard(req.params.id, req.user);
+    if (!board) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { entries } = await Board.getCollections();
+    await sendMemePage(req, res, entries, { boardId: board._id }, {
+      board: Board.formatBoardResponse(board, req.user)
+    });
+
+  } catch (error) {
+    console.error('Get board memes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get board memes',
+      error: error.message
+    });
+  }
+});
+
+// Rename a board or change its description or visibility (owner only)
+router.patch('/boards/:id', authenticate, async (req, res) => {
+  try {
+    const { board, status, message } = await loadBoard(req.params.id, req.user, { ownerOnly: true });
+    if (!board) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { fields, error } = readBoardFields(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update. Provide name, description or visibility.'
+      });
+    }
+
+    const { boards } = await Board.getCollections();
+    let result;
+    try {
+      result = await boards.findOneAndUpdate(
+        { _id: board._id },
+        { $set: { ...fields, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+    } catch (updateError) {
+      if (updateError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have a board with that name'
+        });
+      }
+      throw updateError;
+    }
+
+    res.json({
+      success: true,
+      message: 'Board updated',
+      board: Board.formatBoardResponse(result.value, req.user)
+    });
+
+  } catch (error) {
+    console.error('Update board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update board',
+      error: error.message
+    });
+  }
+});
+
+// Delete a board; the memes themselves are untouched (owner only)
+router.delete('/boards/:id', authenticate, async (req, res) => {
+  try {
+    const { board, status, message } = await loadBoard(req.params.id, req.user, { ownerOnly: true });
+    if (!board) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { boards, entries } = await Board.getCollections();
+    await boards.deleteOne({ _id: board._id });
+    await entries.deleteMany({ boardId: board._id });
+
+    res.json({
+      success: true,
+      message: 'Board deleted successfully',
+      boardId: board._id
+    });
+
+  } catch (error) {
+    console.error('Delete board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete board',
+      error: error.message
+    });
+  }
+});
+
+// Add a meme to a board: { memeId } (owner only)
+router.post('/boards/:id/memes', authenticate, async (req, res) => {
+  try {
+    const { board, status, message } = await loadBoard(req.params.id, req.user, { ownerOnly: true });
+    if (!board) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const meme = await loadSaveableMeme(req.body.memeId, req.user);
+    if (!meme.memeId) {
+      return res.status(meme.status).json({ success: false, message: meme.message });
+    }
+
+    const { boards, entries } = await Board.getCollections();
+    const now = new Date();
+
+    try {
+      await entries.insertOne({ boardId: board._id, memeId: meme.memeId, createdAt: now });
+    } catch (insertError) {
+      if (insertError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'This meme is already on the board'
+        });
+      }
+      throw insertError;
+    }
+
+    const result = await boards.findOneAndUpdate(
+      { _id: board._id },
+      { $inc: { memeCount: 1 }, $set: { updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Meme added to board',
+      memeId: meme.memeId,
+      board: Board.formatBoardResponse(result.value, req.user)
+    });
+
+  } catch (error) {
+    console.error('Add board meme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add meme to board',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/boards/:id/memes/:memeId', authenticate, async (req, res) => {
+  try {
+    const { board, status, message } = await loadBoard(req.params.id, req.user, { ownerOnly: true });
+    if (!board) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const memeId = toObjectId(req.params.memeId);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    const { boards, entries } = await Board.getCollections();
+    const removed = await entries.deleteOne({ boardId: board._id, memeId });
+
+    if (removed.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'This meme is not on the board'
+      });
+    }
+
+    const result = await boards.findOneAndUpdate(
+      { _id: board._id },
+      { $inc: { memeCount: -1 }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Meme removed from board',
+      memeId: memeId,
+      board: Board.formatBoardResponse(result.value, req.user)
+    });
+
+  } catch (error) {
+    console.error('Remove board meme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove meme from board',
+      error: error.message
+    });
+  }
+});
+
+// Create (or replace) the board's share link. Replacing it revokes the old one.
+router.post('/boards/:id/share', authenticate, async (req, res) => {
+  try {
+    const { board, status, message } = await loadBoard(req.params.id, req.user, { ownerOnly: true });
+    if (!board) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { boards } = await Board.getCollections();
+    const result = await boards.findOneAndUpdate(
+      { _id: board._id },
+      { $set: { shareToken: Board.generateShareToken(), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    const formatted = Board.formatBoardResponse(result.value, req.user);
+
+    res.json({
+      success: true,
+      message: 'Share link created',
+      shareToken: formatted.shareToken,
+      shareUrl: formatted.shareUrl,
+      board: formatted
+    });
+
+  } catch (error) {
+    console.error('Share board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create share link',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/boards/:id/share', authenticate, async (req, res) => {
+  try {
+    const { board, status, message } = await loadBoard(req.params.id, req.user, { ownerOnly: true });
+    if (!board) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { boards } = await Board.getCollections();
+    const result = await boards.findOneAndUpdate(
+      { _id: board._id },
+      { $unset: { shareToken: '' }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      board: Board.formatBoardResponse(result.value, req.user)
+    });
+
+  } catch (error) {
+    console.error('Unshare board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke share link',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,515 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const {
+  toObjectId,
+  canViewMeme,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter
+} = require('../utils/helpers');
+const { checkText } = require('../services/moderation');
+const Meme = require('../models/Meme');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+
+const COMMENT_SORTS = {
+  top: { upvotes: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 }
+};
+// Replies read as a conversation, oldest first
+const REPLY_SORT = { createdAt: 1, _id: 1 };
+const REPLY_PREVIEW_COUNT = 3;
+
+const parseLimit = (limit) => Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+// The meme a comment belongs to, or null if `user` can't see it
+const findViewableMeme = async (memeId, user) => {
+  const memes = await Meme.getCollection();
+  const meme = await memes.findOne({ _id: memeId }, { projection: { uploadedBy: 1, moderationStatus: 1 } });
+  return meme && canViewMeme(meme, user) ? meme : null;
+};
+
+// Validate and clean a comment body. Returns { body } or { error }.
+const readBody = (body) => {
+  if (typeof body !== 'string') {
+    return { error: 'Comment text is required' };
+  }
+  const cleaned = Comment.sanitizeBody(body);
+  if (cleaned.length === 0 || cleaned.length > Comment.MAX_COMMENT_LENGTH) {
+    return { error: `Comments must be 1-${Comment.MAX_COMMENT_LENGTH} characters` };
+  }
+  return { body: cleaned };
+};
+
+// Format comments with their authors attached
+const formatComments = async (comments, user) => {
+  const authors = await User.findByIds([...new Set(comments.map(comment => String(comment.author)))]);
+  const authorsById = new Map(authors.map(author => [String(author._id), User.toAuthor(author)]));
+
+  return comments.map(comment => ({
+    ...Comment.formatCommentResponse(comment, user ? user._id : null),
+    author: comment.deleted ? null : (authorsById.get(String(comment.author)) || null)
+  }));
+};
+
+// One page of comments matching `filter` in `sort` order, starting after `cursor`
+const findPage = async (filter, sort, cursor, limit) => {
+  const comments = await Comment.getCollection();
+  const after = decodeCursor(cursor, sort);
+  const query = after ? { $and: [filter, buildCursorFilter(after, sort)] } : filter;
+
+  const results = await comments.find(query).sort(sort).limit(limit + 1).toArray();
+  const hasMore = results.length > limit;
+  const page = results.slice(0, limit);
+
+  return {
+    page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+  };
+};
+
+// Top-level comments on a meme, with the first few replies of each.
+// `sort` is top (default) or newest; pass `nextCursor` back as `cursor` for the next page.
+router.get('/memes/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.id);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    const { sort = 'top', cursor } = req.query;
+    if (!COMMENT_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${Object.keys(COMMENT_SORTS).join(', ')}`
+      });
+    }
+    if (cursor && !decodeCursor(cursor, COMMENT_SORTS[sort])) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    if (!await findViewableMeme(memeId, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meme not found'
+      });
+    }
+
+    const visible = Comment.visibleFilter(req.user);
+    const { page, nextCursor } = await findPage(
+      { ...visible, memeId, parentId: null },
+      COMMENT_SORTS[sort],
+      cursor,
+      parseLimit(req.query.limit)
+    );
+
+    // Reply previews for the whole page in one query
+    const comments = await Comment.getCollection();
+    const previews = page.length === 0 ? [] : await comments.aggregate([
+      { $match: { ...visible, parentId: { $in: page.map(comment => comment._id) } } },
+      { $sort: REPLY_SORT },
+      { $group: { _id: '$parentId', replies: { $push: '$$ROOT' } } },
+      { $project: { replies: { $slice: ['$replies', REPLY_PREVIEW_COUNT] } } }
+    ]).toArray();
+    const repliesByParent = new Map(previews.map(preview => [String(preview._id), preview.replies]));
+
+    const formatted = await formatComments(
+      [...page, ...previews.flatMap(preview => preview.replies)],
+      req.user
+    );
+    const formattedById = new Map(formatted.map(comment => [String(comment.id), comment]));
+
+    res.json({
+      success: true,
+      sort: sort,
+      comments: page.map(comment => ({
+        ...formattedById.get(String(comment._id)),
+        replies: (repliesByParent.get(String(comment._id)) || []).map(reply => formattedById.get(String(reply._id)))
+      })),
+      nextCursor: nextCursor
+    });
+
+  } catch (error) {
+    console.error('List comments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get comments',
+      error: error.message
+    });
+  }
+});
+
+// Replies to a comment, oldest first
+router.get('/comments/:id/replies', optionalAuth, async (req, res) => {
+  try {
+    const commentId = toObjectId(req.params.id);
+    if (!commentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID'
+      });
+    }
+
+    const { cursor } = req.query;
+    if (cursor && !decodeCursor(cursor, REPLY_SORT)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    const visible = Comment.visibleFilter(req.user);
+    const comments = await Comment.getCollection();
+    const parent = await comments.findOne({ ...visible, _id: commentId });
+
+    if (!parent || !await findViewableMeme(parent.memeId, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const { page, nextCursor } = await findPage(
+      { ...visible, parentId: parent.parentId || parent._id },
+      REPLY_SORT,
+      cursor,
+      parseLimit(req.query.limit)
+    );
+
+    res.json({
+      success: true,
+      replies: await formatComments(page, req.user),
+      nextCursor: nextCursor
+    });
+
+  } catch (error) {
+    console.error('List replies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get replies',
+      error: error.message
+    });
+  }
+});
+
+// Comment on a meme, or reply to a comment with `parentId`. Replies to a
+// reply join the same thread, so threads are only ever one level deep.
+router.post('/memes/:id/comments', authenticate, async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.id);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    const { body, error } = readBody(req.body.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!await findViewableMeme(memeId, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meme not found'
+      });
+    }
+
+    const comments = await Comment.getCollection();
+
+    let parentId = null;
+    if (req.body.parentId !== undefined && req.body.parentId !== null) {
+      const parentObjectId = toObjectId(req.body.parentId);
+      if (!parentObjectId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent comment ID'
+        });
+      }
+
+      const parent = await comments.findOne({
+        ...Comment.visibleFilter(req.user),
+        _id: parentObjectId,
+        memeId
+      });
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment to reply to not found'
+        });
+      }
+      parentId = parent.parentId || parent._id;
+    }
+
+    // Same banned-word lists as meme text
+    const reasons = checkText({ description: body });
+    const now = new Date();
+
+    const comment = {
+      memeId: memeId,
+      parentId: parentId,
+      author: req.user._id,
+      body: body,
+      upvotes: 0,
+      upvotedBy: [],
+      replyCount: 0,
+      moderationStatus: reasons.length > 0 ? 'flagged' : 'approved',
+      moderation: { reasons, checkedAt: now },
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await comments.insertOne(comment);
+    comment._id = result.insertedId;
+
+    if (Comment.isPublic(comment)) {
+      await Comment.adjustCounts(comment, 1);
+    }
+
+    const [formatted] = await formatComments([comment], req.user);
+
+    res.status(201).json({
+      success: true,
+      message: Comment.isPublic(comment)
+        ? 'Comment posted'
+        : 'Comment posted and held for review',
+      comment: formatted
+    });
+
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post comment',
+      error: error.message
+    });
+  }
+});
+
+// Edit a comment (author only)
+router.patch('/comments/:id', authenticate, async (req, res) => {
+  try {
+    const commentId = toObjectId(req.params.id);
+    if (!commentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID'
+      });
+    }
+
+    const { body, error } = readBody(req.body.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const comments = await Comment.getCollection();
+    const comment = await comments.findOne({ _id: commentId });
+
+    if (!comment || comment.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (String(comment.author) !== String(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    // Like meme edits, a banned word sends the comment back to review
+    const now = new Date();
+    const update = { body, editedAt: now, updatedAt: now };
+    const reasons = checkText({ description: body });
+    if (reasons.length > 0 && comment.moderationStatus !== 'rejected') {
+      update.moderationStatus = 'flagged';
+      update.moderation = { reasons, checkedAt: now };
+    }
+
+    const result = await comments.findOneAndUpdate(
+      { _id: commentId },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+
+    if (Comment.isPublic(comment) && !Comment.isPublic(result.value)) {
+      await Comment.adjustCounts(comment, -1);
+    }
+
+    const [formatted] = await formatComments([result.value], req.user);
+
+    res.json({
+      success: true,
+      message: Comment.isPublic(result.value)
+        ? 'Comment updated'
+        : 'Comment updated and held for review',
+      comment: formatted
+    });
+
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to edit comment',
+      error: error.message
+    });
+  }
+});
+
+// Delete a comment (author or admin). Comments with replies are blanked
+// rather than removed so the thread survives.
+router.delete('/comments/:id', authenticate, async (req, res) => {
+  try {
+    const commentId = toObjectId(req.params.id);
+    if (!commentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID'
+      });
+    }
+
+    const comments = await Comment.getCollection();
+    const comment = await comments.findOne({ _id: commentId });
+
+    if (!comment || comment.deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (String(comment.author) !== String(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    const hasReplies = !comment.parentId && await comments.countDocuments({ parentId: commentId }, { limit: 1 }) > 0;
+
+    if (hasReplies) {
+      await comments.updateOne(
+        { _id: commentId },
+        { $set: { deleted: true, body: '', deletedAt: new Date(), updatedAt: new Date() } }
+      );
+    } else {
+      await comments.deleteOne({ _id: commentId });
+
+      // Last reply under an already deleted comment: nothing left to show
+      if (comment.parentId) {
+        const remaining = await comments.countDocuments({ parentId: comment.parentId }, { limit: 1 });
+        if (remaining === 0) {
+          await comments.deleteOne({ _id: comment.parentId, deleted: true });
+        }
+      }
+    }
+
+    if (Comment.isPublic(comment)) {
+      await Comment.adjustCounts(comment, -1);
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      commentId: commentId
+    });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment',
+      error: error.message
+    });
+  }
+});
+
+// Upvote or remove upvote on a comment.
+// `action` may be 'upvote' or 'remove'; when omitted the current state is toggled.
+router.post('/comments/:id/upvote', authenticate, async (req, res) => {
+  try {
+    const commentId = toObjectId(req.params.id);
+    if (!commentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID'
+      });
+    }
+
+    const { action } = req.body;
+    if (action && !['upvote', 'remove'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: "Action must be 'upvote' or 'remove'"
+      });
+    }
+
+    const comments = await Comment.getCollection();
+    const userId = req.user._id;
+
+    const comment = await comments.findOne({ _id: commentId });
+
+    if (!comment || !Comment.isPublic(comment) || !await findViewableMeme(comment.memeId, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const alreadyUpvoted = (comment.upvotedBy || []).some(id => String(id) === String(userId));
+    const shouldUpvote = action ? action === 'upvote' : !alreadyUpvoted;
+
+    // Same no-op filters as meme upvotes, so repeats can't double count
+    const update = shouldUpvote
+      ? {
+          filter: { _id: commentId, upvotedBy: { $ne: userId } },
+          change: { $addToSet: { upvotedBy: userId }, $inc: { upvotes: 1 } }
+        }
+      : {
+          filter: { _id: commentId, upvotedBy: userId },
+          change: { $pull: { upvotedBy: userId }, $inc: { upvotes: -1 } }
+        };
+
+    await comments.updateOne(update.filter, update.change);
+
+    const updatedComment = await comments.findOne(
+      { _id: commentId },
+      { projection: { upvotes: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: shouldUpvote ? 'Comment upvoted successfully' : 'Upvote removed successfully',
+      upvotes: updatedComment.upvotes,
+      hasUpvoted: shouldUpvote,
+      commentId: commentId
+    });
+
+  } catch (error) {
+    console.error('Comment upvote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update upvote',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
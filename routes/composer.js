@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const { toObjectId, canViewMeme } = require('../utils/helpers');
+const { buildRenditions } = require('../utils/renditions');
+const { renderMeme } = require('../utils/memeRenderer');
+const { getPosterStorage } = require('../storage');
+const { publishMeme } = require('../services/memeUpload');
+const Meme = require('../models/Meme');
+
+// Render caption text boxes onto an existing meme image.
+// Returns the composed image, or with `publish: true` stores it as a new meme
+// through the same pipeline as POST /api/upload.
+router.post('/render', optionalAuth, async (req, res) => {
+  try {
+    const {
+      memeId,
+      textBoxes,
+      format = 'png',
+      publish = false,
+      title,
+      description = ''
+    } = req.body;
+
+    const sourceId = toObjectId(memeId);
+    if (!sourceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid memeId is required'
+      });
+    }
+
+    if (publish && !req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Log in to publish a rendered meme'
+      });
+    }
+
+    const memes = await Meme.getCollection();
+    const source = await memes.findOne({ _id: sourceId });
+
+    if (!source || !canViewMeme(source, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meme not found'
+      });
+    }
+
+    // Captions are drawn on a still; GIF/video memes use their poster frame
+    const sourceStorage = getPosterStorage(source);
+    if (!sourceStorage) {
+      return res.status(422).json({
+        success: false,
+        message: 'Source meme has no stored image'
+      });
+    }
+
+    const image = await sourceStorage.driver.get(sourceStorage.id);
+    const rendered = await renderMeme(image, textBoxes, { format });
+
+    if (!publish) {
+      return res.type(rendered.format).send(rendered.buffer);
+    }
+
+    const { meme, duplicateOf, generateDescription } = await publishMeme({
+      buffer: rendered.buffer,
+      description: description,
+      uploadedBy: req.user._id,
+      fields: {
+        ...(title && { title: String(title).trim().slice(0, 100) }),
+        sourceMemeId: source._id
+      },
+      // Other captions of the same source share its image; the source itself
+      // is still matched, so lightly captioned reposts are caught
+      duplicateFilter: { sourceMemeId: { $ne: source._id } }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Rendered meme published, AI enrichment in progress',
+      meme: {
+        id: meme._id,
+        image_url: meme.image_url,
+        renditions: buildRenditions(meme),
+        title: meme.title,
+        description: meme.description,
+        sourceMemeId: meme.sourceMemeId,
+        uploadedBy: meme.uploadedBy,
+        status: meme.status,
+        createdAt: meme.createdAt
+      },
+      metadata: {
+        descriptionGenerated: generateDescription,
+        duplicateOf: duplicateOf,
+        statusUrl: `/api/memes/${meme._id}/status`
+      }
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Render meme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render meme',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { formatMemeResponse, validateTags } = require('../utils/helpers');
+const { buildFeed, markFeedSeen } = require('../services/feed');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+// Following creators and tags, and the personalised feed built from them
+
+const normalizeTag = (tag) => String(tag).trim().toLowerCase();
+
+// Resolve a follow target from the URL. Returns { target } or { status, message }.
+const readUserTarget = async (idOrUsername, user) => {
+  const target = await User.findByIdOrUsername(idOrUsername);
+  if (!target) {
+    return { status: 404, message: 'User not found' };
+  }
+  if (String(target._id) === String(user._id)) {
+    return { status: 400, message: 'You cannot follow yourself' };
+  }
+  return { target: target._id };
+};
+
+const readTagTarget = (tag) => {
+  const normalized = normalizeTag(tag);
+  if (!validateTags([normalized])) {
+    return { status: 400, message: 'Invalid tag' };
+  }
+  return { target: normalized };
+};
+
+// Build follow/unfollow handlers for a target type
+const followHandler = (type, following) => async (req, res) => {
+  try {
+    const { target, status, message } = type === 'user'
+      ? await readUserTarget(req.params.id, req.user)
+      : readTagTarget(req.params.tag);
+    if (!target) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const changed = following
+      ? await Follow.follow(req.user._id, type, target)
+      : await Follow.unfollow(req.user._id, type, target);
+
+    const noun = type === 'user' ? 'user' : `#${target}`;
+    res.json({
+      success: true,
+      message: following
+        ? (changed ? `Now following ${noun}` : `Already following ${noun}`)
+        : (changed ? `Unfollowed ${noun}` : `Not following ${noun}`),
+      type: type,
+      target: target,
+      isFollowing: following,
+      followerCount: await Follow.countFollowers(type, target)
+    });
+
+  } catch (error) {
+    console.error('Follow error:', error);
+    res.status(500).json({
+      success: false,
+      message: following ? 'Failed to follow' : 'Failed to unfollow',
+      error: error.message
+    });
+  }
+};
+
+router.post('/users/:id/follow', authenticate, followHandler('user', true));
+router.delete('/users/:id/follow', authenticate, followHandler('user', false));
+router.post('/tags/:tag/follow', authenticate, followHandler('tag', true));
+router.delete('/tags/:tag/follow', authenticate, followHandler('tag', false));
+
+// Creators and tags the signed in user follows
+router.get('/following', authenticate, async (req, res) => {
+  try {
+    const following = await Follow.findFollowing(req.user._id);
+    const users = await User.findByIds(following.users);
+    const usersById = new Map(users.map(user => [String(user._id), User.toAuthor(user)]));
+
+    res.json({
+      success: true,
+      users: following.users.map(id => usersById.get(String(id))).filter(Boolean),
+      tags: following.tags
+    });
+
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get followed creators and tags',
+      error: error.message
+    });
+  }
+});
+
+// Personalised feed: new memes from followed creators and tags blended with
+// trending memes, never repeating a meme already served. Pass `nextCursor`
+// back as `cursor` for the next page.
+router.get('/feed', authenticate, async (req, res) => {
+  try {
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const { memes, nextCursor } = await buildFeed(req.user, { cursor: req.query.cursor, limit });
+
+    // Only memes that actually went out count as seen
+    res.on('finish', () => {
+      markFeedSeen(req.user, memes).catch(error => console.error('Failed to record feed history:', error));
+    });
+
+    res.json({
+      success: true,
+      memes: memes.map(({ meme, reason }) => ({
+        ...formatMemeResponse(meme, req.user._id),
+        feedReason: reason
+      })),
+      nextCursor: nextCursor
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build feed',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,43 @@
 const express = require('express');
 const router = express.Router();
-const cloudinary = require('../config/cloudinary');
-const geminiService = require('../config/gemini');
-// const Meme = require('../models/Meme');
-const { upload, handleMulterError } = require('../middleware/upload');
+const { getMemeStorage, getPosterStorage } = require('../storage');
+const aiService = require('../config/ai');
+const { upload, imageUpload, batchUpload, handleMulterError } = require('../middleware/upload');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const {
+  formatMemeResponse,
+  buildMediaInfo,
+  toObjectId,
+  canManageMeme,
+  canViewMeme,
+  validateTags,
+  tokenize,
+  jaccardSimilarity,
+  escapeRegex,
+  parseSearchQuery,
+  validatePagination
+} = require('../utils/helpers');
+const User = require('../models/User');
+const Meme = require('../models/Meme');
+const Template = require('../models/Template');
+const Comment = require('../models/Comment');
+const Favorite = require('../models/Favorite');
+const Board = require('../models/Board');
+const Event = require('../models/Event');
+const { computePerceptualHash, hashSimilarity } = require('../utils/imageHash');
+const { probeMedia } = require('../utils/media');
+const { buildRenditions } = require('../utils/renditions');
+const { AIResponseError, withFallback } = require('../utils/aiResponse');
+const trending = require('../services/trending');
+const { JOB_TYPE: ENRICH_JOB_TYPE } = require('../jobs/enrichMeme');
+const queue = require('../jobs/queue');
+const { publishMeme, DuplicateMemeError, DUPLICATE_MAX_DISTANCE } = require('../services/memeUpload');
+const { BATCH_MAX_FILES, parseJsonField, extractArchive, uploadBatch } = require('../services/batchUpload');
+const { checkText } = require('../services/moderation');
 const connectToDB = require('../db'); // Assuming you have a separate file for DB connection
 
 // Upload meme endpoint
-router.post('/upload', upload.single('meme'), handleMulterError, async (req, res) => {
+router.post('/upload', authenticate, upload.single('meme'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -17,97 +47,240 @@ router.post('/upload', upload.single('meme'), handleMulterError, async (req, res
     }
 
     // Get description from request body, default to empty string if not provided
-    let { description = "" } = req.body;
-    description = description.trim();
+    const { description = "" } = req.body;
+    if (typeof description !== 'string' || description.trim().length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Description must be a string of at most 500 characters'
+      });
+    }
 
-    // Upload image to Cloudinary
-    const uploadResult = await new Promise((resolve, reject) => {
-      cloudinary.uploader.upload_stream(
-        {
-          resource_type: 'image',
-          folder: 'neon-meme-marketplace',
-          quality: 'auto',
-          fetch_format: 'auto'
-        },
-        (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        }
-      ).end(req.file.buffer);
+    const { meme, duplicateOf, generateDescription } = await publishMeme({
+      buffer: req.file.buffer,
+      description: description,
+      uploadedBy: req.user._id
     });
 
-    // Convert image to base64 for Gemini API
-    const base64Image = req.file.buffer.toString('base64');
-    
-    // Generate tags using Gemini API
-    const tags = await geminiService.generateMemeTags(base64Image);
-
-    // If description is empty, generate it using Gemini
-    if (description === "" || description.length === 0) {
-      try {
-        description = await geminiService.generateMemeDescription(base64Image);
-        console.log('Generated description using Gemini:', description);
-      } catch (descriptionError) {
-        console.warn('Failed to generate description, using fallback:', descriptionError.message);
-        description = "A meme image uploaded to the marketplace";
+    res.status(202).json({
+      success: true,
+      message: 'Meme uploaded successfully, AI enrichment in progress',
+      meme: {
+        id: meme._id,
+        image_url: meme.image_url,
+        renditions: buildRenditions(meme),
+        media: buildMediaInfo(meme),
+        tags: meme.tags,
+        description: meme.description,
+        upvotes: meme.upvotes,
+        downloads: meme.downloads,
+        uploadedBy: meme.uploadedBy,
+        status: meme.status,
+        createdAt: meme.createdAt
+      },
+      metadata: {
+        descriptionGenerated: generateDescription,
+        duplicateOf: duplicateOf,
+        statusUrl: `/api/memes/${meme._id}/status`
       }
+    });
+
+  } catch (error) {
+    if (error instanceof DuplicateMemeError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        duplicate: error.duplicate
+      });
     }
 
-    // Connect to database
-    const db = await connectToDB();
+    // Rejected by the media size/duration/type checks
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
 
-    // Create meme document with description
-    const memeData = {
-      image_url: uploadResult.secure_url,
-      cloudinary_id: uploadResult.public_id,
-      tags: tags,
-      description: description.toLowerCase(), // Convert to lowercase for consistency
-      upvotes: 0,
-      downloads: 0,
-      metadata: {
-        width: uploadResult.width,
-        height: uploadResult.height,
-        format: uploadResult.format,
-        size: uploadResult.bytes
-      },
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    console.error('Upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload meme',
+      error: error.message
+    });
+  }
+});
 
-    const result = await db.collection("memes").insertOne(memeData);
-    const insertedMeme = await db.collection("memes").findOne({ _id: result.insertedId });
+// Batch upload - many files in `memes`, or one zip in `archive`.
+// Optional `metadata` JSON maps file names (or positions) to { description, tags };
+// a manifest.json inside the zip works the same way.
+const batchFiles = batchUpload.fields([{ name: 'memes', maxCount: BATCH_MAX_FILES }, { name: 'archive', maxCount: 1 }]);
 
-    res.status(201).json({
+router.post('/upload/batch', authenticate, batchFiles, handleMulterError, async (req, res) => {
+  try {
+    const uploaded = req.files || {};
+    const [archive] = uploaded.archive || [];
+    let metadata = parseJsonField(req.body.metadata, 'metadata');
+
+    let files;
+    if (archive) {
+      const extracted = await extractArchive(archive.buffer);
+      files = extracted.files;
+      // Request metadata wins over the manifest
+      metadata = Array.isArray(metadata) ? metadata : { ...extracted.manifest, ...metadata };
+    } else {
+      files = (uploaded.memes || []).map(file => ({
+        filename: file.originalname,
+        size: file.size,
+        read: () => file.buffer
+      }));
+    }
+
+    const { results, summary } = await uploadBatch(files, metadata, req.user._id);
+
+    res.status(summary.uploaded > 0 ? 202 : 422).json({
+      success: summary.uploaded > 0,
+      message: `${summary.uploaded} of ${summary.total} memes uploaded, AI enrichment in progress`,
+      summary: summary,
+      results: results
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Batch upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload memes',
+      error: error.message
+    });
+  }
+});
+
+// Find existing memes that look like an uploaded image, without saving it
+router.post('/find-duplicates', imageUpload.single('meme'), handleMulterError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file provided'
+      });
+    }
+
+    const requestedDistance = parseInt(req.body.maxDistance ?? req.query.maxDistance);
+    const maxDistance = Number.isNaN(requestedDistance)
+      ? DUPLICATE_MAX_DISTANCE
+      : Math.min(32, Math.max(0, requestedDistance));
+
+    let phash;
+    try {
+      // GIFs are matched on their poster frame
+      const media = await probeMedia(req.file.buffer);
+      phash = await computePerceptualHash(media.poster);
+    } catch (hashError) {
+      return res.status(hashError.status || 400).json({
+        success: false,
+        message: 'Could not read image',
+        error: hashError.message
+      });
+    }
+
+    const { matches } = await Meme.findByPerceptualHash(phash, maxDistance, { limit: 20, filter: Meme.PUBLIC_FILTER });
+
+    res.json({
       success: true,
-      message: 'Meme uploaded successfully',
-      meme: {
-        id: insertedMeme._id,
-        image_url: insertedMeme.image_url,
-        tags: insertedMeme.tags,
-        description: insertedMeme.description,
-        upvotes: insertedMeme.upvotes,
-        downloads: insertedMeme.downloads,
-        createdAt: insertedMeme.createdAt
+      phash: phash,
+      maxDistance: maxDistance,
+      isDuplicate: matches.length > 0,
+      duplicates: matches.map(match => ({
+        ...formatMemeResponse(match.meme),
+        distance: match.distance
+      }))
+    });
+
+  } catch (error) {
+    console.error('Find duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to find duplicates',
+      error: error.message
+    });
+  }
+});
+
+// Reverse image search - find memes that look like an uploaded image
+router.post('/reverse-search', optionalAuth, imageUpload.single('image'), handleMulterError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file provided'
+      });
+    }
+
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+
+    // Only return memes at least this similar (0-1, 1 = identical hash)
+    const requestedSimilarity = parseFloat(req.query.minSimilarity);
+    const minSimilarity = Number.isNaN(requestedSimilarity)
+      ? 0.75
+      : Math.min(1, Math.max(0, requestedSimilarity));
+    const maxDistance = Math.floor((1 - minSimilarity) * 64);
+
+    let phash;
+    try {
+      // GIFs are matched on their poster frame
+      const media = await probeMedia(req.file.buffer);
+      phash = await computePerceptualHash(media.poster);
+    } catch (hashError) {
+      return res.status(hashError.status || 400).json({
+        success: false,
+        message: 'Could not read image',
+        error: hashError.message
+      });
+    }
+
+    const { matches, total } = await Meme.findByPerceptualHash(phash, maxDistance, { skip, limit, filter: Meme.PUBLIC_FILTER });
+
+    res.json({
+      success: true,
+      memes: matches.map(match => ({
+        ...formatMemeResponse(match.meme, req.user?._id),
+        similarityScore: Math.round(hashSimilarity(phash, match.meme.phash) * 1000) / 1000,
+        distance: match.distance
+      })),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: matches.length,
+        totalItems: total
       },
       metadata: {
-        descriptionGenerated: req.body.description === "" || !req.body.description
+        algorithm: 'Perceptual hash (DCT) Hamming distance',
+        minSimilarity: minSimilarity
       }
     });
 
   } catch (error) {
-    console.error('Upload error:', error);
+    console.error('Reverse image search error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to upload meme',
+      message: 'Reverse image search failed',
       error: error.message
     });
   }
 });
 
-// Search memes by tags and description
-router.get('/search', async (req, res) => {
+// Search memes by tags and description.
+// Supports plain terms, "exact phrases", prefix* matching, -exclusions and tag:filters.
+// Results are ranked by text relevance across the whole result set, then paginated.
+router.get('/search', optionalAuth, async (req, res) => {
   try {
-    const { q, page = 1, limit = 20 } = req.query;
+    const { q } = req.query;
     
     if (!q) {
       return res.status(400).json({
@@ -116,90 +289,121 @@ router.get('/search', async (req, res) => {
       });
     }
 
-    // Parse query string into individual words
-    const searchWords = q.toLowerCase()
-      .split(/\s+/)
-      .filter(word => word.trim() !== '' && word.length > 1); // Filter out empty strings and single characters
-    
-    if (searchWords.length === 0) {
+    const parsedQuery = parseSearchQuery(q);
+    const { terms, phrases, prefixes, excludedTerms, tags, excludedTags } = parsedQuery;
+
+    if (terms.length + phrases.length + prefixes.length + tags.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'Please provide valid search terms'
       });
     }
 
-    const skip = (page - 1) * limit;
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+
+    // Build the match stage
+    const match = { ...Meme.PUBLIC_FILTER };
+    const conditions = [];
+    const useTextSearch = terms.length > 0 || phrases.length > 0;
 
-    // Build query to search in both tags and description
-    const combinedRegex = new RegExp(searchWords.join('|'), 'i'); // Creates a regex like /word1|word2|word3/i
+    if (useTextSearch) {
+      // Terms are OR'ed and ranked by the text index; every phrase must be present
+      match.$text = {
+        $search: [...terms, ...phrases.map(phrase => `"${phrase}"`)].join(' ')
+      };
+    }
 
-    const searchQuery = {
+    // Every prefix must match the start of a tag or of a word in the description
+    prefixes.forEach(prefix => {
+      conditions.push({
         $or: [
-            // Search in tags array: MongoDB automatically checks if *any* element in the array
-            // matches the regex when $regex is applied directly to an array field.
-            { tags: { $regex: combinedRegex } },
-        
-            // Search in description: Apply the combined regex directly to the string field.
-            { description: { $regex: combinedRegex } }
+          { tags: { $regex: `^${escapeRegex(prefix)}` } },
+          { description: { $regex: `\\b${escapeRegex(prefix)}`, $options: 'i' } }
         ]
-    };
+      });
+    });
 
-    // Connect to database
-    const db = await connectToDB();
+    if (tags.length > 0) {
+      conditions.push({ tags: { $all: tags } });
+    }
 
-    const memes = await db.collection("memes").find(searchQuery)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .toArray();
+    if (excludedTags.length > 0 || excludedTerms.length > 0) {
+      conditions.push({ tags: { $nin: [...excludedTags, ...excludedTerms] } });
+    }
 
-    const total = await db.collection("memes").countDocuments(searchQuery);
-
-    // Calculate relevance score for each meme
-    const memesWithRelevance = memes.map(meme => {
-      let relevanceScore = 0;
-      
-      // Check how many search words match in tags
-      const tagMatches = meme.tags.filter(tag => 
-        searchWords.some(word => tag.toLowerCase().includes(word.toLowerCase()))
-      ).length;
-      
-      // Check how many search words match in description
-      const descriptionMatches = meme.description ? 
-        searchWords.filter(word => 
-          meme.description.toLowerCase().includes(word.toLowerCase())
-        ).length : 0;
-      
-      // Calculate relevance score (description get higher weight)
-      relevanceScore = (descriptionMatches * 2) + tagMatches;
-      
-      return {
-        id: meme._id,
-        image_url: meme.image_url,
-        tags: meme.tags,
-        upvotes: meme.upvotes,
-        downloads: meme.downloads,
-        description: meme.description,
-        createdAt: meme.createdAt,
-        relevanceScore: relevanceScore
-      };
-    });
+    if (excludedTerms.length > 0) {
+      conditions.push({
+        description: {
+          $not: new RegExp(`\\b(${excludedTerms.map(escapeRegex).join('|')})\\b`, 'i')
+        }
+      });
+    }
+
+    if (conditions.length > 0) {
+      match.$and = conditions;
+    }
+
+    // Prefix matches add to the text score so they also affect ranking
+    const prefixScore = prefixes.map(prefix => ({
+      $cond: [
+        {
+          $or: [
+            { $regexMatch: { input: { $ifNull: ['$description', ''] }, regex: `\\b${escapeRegex(prefix)}`, options: 'i' } },
+            {
+              $gt: [{
+                $size: {
+                  $filter: {
+                    input: { $ifNull: ['$tags', []] },
+                    as: 'tag',
+                    cond: { $regexMatch: { input: '$$tag', regex: `^${escapeRegex(prefix)}` } }
+                  }
+                }
+              }, 0]
+            }
+          ]
+        },
+        1,
+        0
+      ]
+    }));
+
+    const memesCollection = await Meme.getCollection();
 
-    // Sort by relevance score (highest first), then by creation date
-    memesWithRelevance.sort((a, b) => {
-      if (b.relevanceScore !== a.relevanceScore) {
-        return b.relevanceScore - a.relevanceScore;
+    const [result] = await memesCollection.aggregate([
+      { $match: match },
+      {
+        $addFields: {
+          relevanceScore: {
+            $add: [
+              useTextSearch ? { $meta: 'textScore' } : 0,
+              ...prefixScore
+            ]
+          }
+        }
+      },
+      { $sort: { relevanceScore: -1, upvotes: -1, createdAt: -1 } },
+      {
+        $facet: {
+          memes: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
       }
-      return new Date(b.createdAt) - new Date(a.createdAt);
-    });
+    ]).toArray();
+
+    const memes = result.memes;
+    const total = result.total.length > 0 ? result.total[0].count : 0;
 
     res.json({
       success: true,
       searchQuery: q,
-      searchWords: searchWords,
-      memes: memesWithRelevance,
+      searchWords: [...terms, ...phrases, ...prefixes.map(prefix => `${prefix}*`)],
+      parsedQuery: parsedQuery,
+      memes: memes.map(meme => ({
+        ...formatMemeResponse(meme, req.user?._id),
+        relevanceScore: Math.round(meme.relevanceScore * 1000) / 1000
+      })),
       pagination: {
-        current: parseInt(page),
+        current: page,
         total: Math.ceil(total / limit),
         count: memes.length,
         totalItems: total
@@ -228,13 +432,14 @@ router.get('/search-assist', async (req, res) => {
       });
     }
 
-    const searchRegex = new RegExp(q.toLowerCase(), 'i');
+    const searchRegex = new RegExp(escapeRegex(q.toLowerCase()), 'i');
     
     // Connect to database
     const db = await connectToDB();
     
     // Aggregate to get unique tags that match the search query
     const tagSuggestions = await db.collection("memes").aggregate([
+      { $match: Meme.PUBLIC_FILTER },
       { $unwind: '$tags' },
       { $match: { tags: searchRegex } },
       { $group: { _id: '$tags', count: { $sum: 1 } } },
@@ -258,165 +463,56 @@ router.get('/search-assist', async (req, res) => {
   }
 });
 
-// Get trending memes
-router.get('/trending', async (req, res) => {
+// Get trending memes for a time window (hour, day, week or month), from the
+// precomputed ranking
+router.get('/trending', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
-
-    // Calculate trending score based on recent activity (last 7 days)
-    const sevenDaysAgo = new Date();
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-
-    // Connect to database
-    const db = await connectToDB();
-
-    // Get memes with trending score calculation
-    const trendingMemes = await db.collection("memes").aggregate([
-      {
-        $addFields: {
-          // Calculate days since creation
-          daysSinceCreation: {
-            $divide: [
-              { $subtract: [new Date(), '$createdAt'] },
-              1000 * 60 * 60 * 24 // Convert milliseconds to days
-            ]
-          },
-          // Calculate trending score
-          trendingScore: {
-            $divide: [
-              {
-                $add: [
-                  { $multiply: ['$upvotes', 2] }, // Upvotes have higher weight
-                  '$downloads'
-                ]
-              },
-              {
-                $add: [
-                  {
-                    $divide: [
-                      { $subtract: [new Date(), '$createdAt'] },
-                      1000 * 60 * 60 * 24 // Days since creation
-                    ]
-                  },
-                  1 // Add 1 to avoid division by zero
-                ]
-              }
-            ]
-          }
-        }
-      },
-      {
-        // Filter out memes older than 30 days for trending
-        $match: {
-          daysSinceCreation: { $lte: 30 }
-        }
-      },
-      {
-        $sort: { 
-          trendingScore: -1, 
-          upvotes: -1, 
-          createdAt: -1 
-        }
-      },
-      {
-        $skip: skip
-      },
-      {
-        $limit: parseInt(limit)
-      },
-      {
-        $project: {
-          _id: 1,
-          image_url: 1,
-          tags: 1,
-          upvotes: 1,
-          downloads: 1,
-          description: 1,
-          createdAt: 1,
-          trendingScore: { $round: ['$trendingScore', 2] },
-          daysSinceCreation: { $round: ['$daysSinceCreation', 1] }
-        }
-      }
-    ]).toArray();
-
-    // Get total count for pagination
-    const totalTrending = await db.collection("memes").aggregate([
-      {
-        $addFields: {
-          daysSinceCreation: {
-            $divide: [
-              { $subtract: [new Date(), '$createdAt'] },
-              1000 * 60 * 60 * 24
-            ]
-          }
-        }
-      },
-      {
-        $match: {
-          daysSinceCreation: { $lte: 30 }
-        }
-      },
-      {
-        $count: "total"
-      }
-    ]).toArray();
-
-    const total = totalTrending.length > 0 ? totalTrending[0].total : 0;
+    const { window = trending.DEFAULT_WINDOW } = req.query;
+    if (!trending.isValidWindow(window)) {
+      return res.status(400).json({
+        success: false,
+        message: `window must be one of: ${Object.keys(trending.TRENDING_WINDOWS).join(', ')}`
+      });
+    }
 
-    // Also get the most trending tag for additional context
-    const tagStats = await db.collection("memes").aggregate([
-      {
-        $match: {
-          createdAt: { $gte: sevenDaysAgo }
-        }
-      },
-      { $unwind: '$tags' },
-      { 
-        $group: { 
-          _id: '$tags', 
-          count: { $sum: 1 },
-          totalUpvotes: { $sum: '$upvotes' },
-          totalDownloads: { $sum: '$downloads' },
-          trendingScore: {
-            $avg: {
-              $add: [
-                { $multiply: ['$upvotes', 2] },
-                '$downloads'
-              ]
-            }
-          }
-        } 
-      },
-      { $sort: { trendingScore: -1, count: -1 } },
-      { $limit: 1 }
-    ]).toArray();
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+    const ranking = await trending.getRanking(window);
+    const ranked = ranking.memes.slice(skip, skip + limit);
+
+    // Memes hidden or deleted since the ranking was computed are left out
+    const memes = await Meme.getCollection();
+    const found = await memes.find({ ...Meme.PUBLIC_FILTER, _id: { $in: ranked.map(item => item.memeId) } }).toArray();
+    const memesById = new Map(found.map(meme => [String(meme._id), meme]));
+
+    const trendingMemes = ranked
+      .filter(item => memesById.has(String(item.memeId)))
+      .map(item => {
+        const meme = memesById.get(String(item.memeId));
+        return {
+          ...formatMemeResponse(meme, req.user?._id),
+          trendingScore: item.score,
+          velocity: item.velocity,
+          activity: item.activity,
+          daysSinceCreation: Math.round((Date.now() - meme.createdAt) / (1000 * 60 * 60 * 24) * 10) / 10
+        };
+      });
 
-    const mostTrendingTag = tagStats.length > 0 ? tagStats[0]._id : null;
+    const total = ranking.memes.length;
 
     res.json({
       success: true,
-      trendingMemes: trendingMemes.map(meme => ({
-        id: meme._id,
-        image_url: meme.image_url,
-        tags: meme.tags,
-        upvotes: meme.upvotes,
-        downloads: meme.downloads,
-        description: meme.description,
-        createdAt: meme.createdAt,
-        trendingScore: meme.trendingScore,
-        daysSinceCreation: meme.daysSinceCreation
-      })),
-      mostTrendingTag: mostTrendingTag,
+      window: window,
+      trendingMemes: trendingMemes,
+      mostTrendingTag: ranking.tags.length > 0 ? ranking.tags[0].tag : null,
       pagination: {
-        current: parseInt(page),
+        current: page,
         total: Math.ceil(total / limit),
         count: trendingMemes.length,
         totalItems: total
       },
       metadata: {
-        calculationPeriod: "Last 30 days",
-        algorithm: "Score = (upvotes * 2 + downloads) / (days_since_creation + 1)"
+        ...trending.describeRanking(window, ranking),
+        computedAt: ranking.computedAt
       }
     });
 
@@ -430,6 +526,45 @@ router.get('/trending', async (req, res) => {
   }
 });
 
+// Get trending tags for a time window, from the precomputed ranking
+router.get('/trending/tags', async (req, res) => {
+  try {
+    const { window = trending.DEFAULT_WINDOW } = req.query;
+    if (!trending.isValidWindow(window)) {
+      return res.status(400).json({
+        success: false,
+        message: `window must be one of: ${Object.keys(trending.TRENDING_WINDOWS).join(', ')}`
+      });
+    }
+
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const ranking = await trending.getRanking(window);
+
+    res.json({
+      success: true,
+      window: window,
+      tags: ranking.tags.slice(0, limit).map(item => ({
+        tag: item.tag,
+        trendingScore: item.score,
+        velocity: item.velocity,
+        memeCount: item.memeCount
+      })),
+      metadata: {
+        ...trending.describeRanking(window, ranking),
+        computedAt: ranking.computedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Trending tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get trending tags',
+      error: error.message
+    });
+  }
+});
+
 // Get popular tags (most common to least)
 router.get('/popular', async (req, res) => {
   try {
@@ -439,6 +574,7 @@ router.get('/popular', async (req, res) => {
     const db = await connectToDB();
 
     const popularTags = await db.collection("memes").aggregate([
+      { $match: Meme.PUBLIC_FILTER },
       { $unwind: '$tags' },
       { 
         $group: { 
@@ -479,7 +615,7 @@ router.get('/popular', async (req, res) => {
 });
 
 // Meme evolution analysis
-router.post('/meme-evolution', upload.single('meme'), handleMulterError, async (req, res) => {
+router.post('/meme-evolution', imageUpload.single('meme'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -488,11 +624,12 @@ router.post('/meme-evolution', upload.single('meme'), handleMulterError, async (
       });
     }
 
-    // Convert image to base64
-    const base64Image = req.file.buffer.toString('base64');
+    // Validate the real file type; GIFs are analysed from their poster frame
+    const media = await probeMedia(req.file.buffer);
+    const base64Image = media.poster.toString('base64');
     
-    // Analyze meme evolution using Gemini
-    const evolutionData = await geminiService.traceMemeEvolution(base64Image);
+    // Analyze meme evolution using the AI provider
+    const evolutionData = await aiService.traceMemeEvolution(base64Image, media.posterMimeType);
 
     res.json({
       success: true,
@@ -500,13 +637,30 @@ router.post('/meme-evolution', upload.single('meme'), handleMulterError, async (
       evolution: evolutionData,
       metadata: {
         analysisDate: new Date().toISOString(),
-        aiModel: 'Google Gemini 2.0 Flash',
+        aiModel: aiService.modelName,
         analysisType: 'Comprehensive Evolution Tracking'
       }
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Meme evolution error:', error);
+
+    // No placeholder history is invented - the caller gets an explicit failure
+    if (error instanceof AIResponseError) {
+      return res.status(502).json({
+        success: false,
+        message: 'The AI provider did not return a usable evolution analysis',
+        error: error.message
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to analyze meme evolution',
@@ -527,12 +681,25 @@ router.post('/meme-storm', async (req, res) => {
       });
     }
 
-    // Generate meme concepts using Gemini
-    const memeStorm = await geminiService.generateMemeStorm(ideas);
+    // Generate meme concepts using the AI provider
+    const { data: memeStorm, fallback } = await withFallback(
+      aiService.generateMemeStorm(ideas),
+      [
+        {
+          "image-description": "A confused looking person pointing at a complex diagram",
+          "caption": "Me trying to understand the assignment"
+        },
+        {
+          "image-description": "Drake pointing away from something vs pointing approvingly at something else",
+          "caption": "Old trends vs new viral content"
+        }
+      ]
+    );
 
     res.json({
       success: true,
-      memeConcepts: memeStorm
+      memeConcepts: memeStorm,
+      fallback: fallback
     });
 
   } catch (error) {
@@ -546,7 +713,7 @@ router.post('/meme-storm', async (req, res) => {
 });
 
 // Caption generator - generate captions for image
-router.post('/caption-generator', upload.single('image'), handleMulterError, async (req, res) => {
+router.post('/caption-generator', imageUpload.single('image'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -555,19 +722,40 @@ router.post('/caption-generator', upload.single('image'), handleMulterError, asy
       });
     }
 
-    // Convert image to base64
-    const base64Image = req.file.buffer.toString('base64');
+    // Validate the real file type; GIFs are captioned from their poster frame
+    const media = await probeMedia(req.file.buffer);
+    const base64Image = media.poster.toString('base64');
     
-    // Generate captions using Gemini
-    const captions = await geminiService.generateCaptions(base64Image);
+    // Generate captions using the AI provider
+    const { data: captions, fallback } = await withFallback(
+      aiService.generateCaptions(base64Image, media.posterMimeType),
+      [
+        "When life gives you lemons...",
+        "That moment when everything makes sense",
+        "Me trying to understand the assignment",
+        "It's giving main character energy",
+        "POV: You're living your best life",
+        "This hits different",
+        "The accuracy is unmatched",
+        "Tell me you relate without telling me you relate"
+      ]
+    );
 
     res.json({
       success: true,
       captions: captions,
-      total: captions.length
+      total: captions.length,
+      fallback: fallback
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Caption generator error:', error);
     res.status(500).json({
       success: false,
@@ -577,10 +765,11 @@ router.post('/caption-generator', upload.single('image'), handleMulterError, asy
   }
 });
 
-// Update upvote (only upvote, no downvote)
-router.post('/update-upvote', async (req, res) => {
+// Upvote or remove upvote for the authenticated user.
+// `action` may be 'upvote' or 'remove'; when omitted the current state is toggled.
+router.post('/update-upvote', authenticate, async (req, res) => {
   try {
-    const { memeId } = req.body;
+    const { memeId, action } = req.body;
     
     if (!memeId) {
       return res.status(400).json({
@@ -589,31 +778,77 @@ router.post('/update-upvote', async (req, res) => {
       });
     }
 
+    if (action && !['upvote', 'remove'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: "Action must be 'upvote' or 'remove'"
+      });
+    }
+
+    const memeObjectId = toObjectId(memeId);
+    if (!memeObjectId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
     // Connect to database
     const db = await connectToDB();
-    const { ObjectId } = require('mongodb');
+    const userId = req.user._id;
 
-    const result = await db.collection("memes").findOneAndUpdate(
-      { _id: new ObjectId(memeId) },
-      { 
-        $inc: { upvotes: 1 },
-        $set: { updatedAt: new Date() }
-      },
-      { returnDocument: 'after' }
+    const meme = await db.collection("memes").findOne(
+      { _id: memeObjectId },
+      { projection: { upvotedBy: 1, uploadedBy: 1, moderationStatus: 1 } }
     );
 
-    if (!result.value) {
+    if (!meme || !canViewMeme(meme, req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Meme not found'
       });
     }
 
+    const alreadyUpvoted = (meme.upvotedBy || []).some(id => String(id) === String(userId));
+    const shouldUpvote = action ? action === 'upvote' : !alreadyUpvoted;
+
+    // The filters make each update a no-op when the user is already in the
+    // desired state, so repeated or concurrent requests can't double count.
+    const update = shouldUpvote
+      ? {
+          filter: { _id: memeObjectId, upvotedBy: { $ne: userId } },
+          change: { $addToSet: { upvotedBy: userId }, $inc: { upvotes: 1 } }
+        }
+      : {
+          filter: { _id: memeObjectId, upvotedBy: userId },
+          change: { $pull: { upvotedBy: userId }, $inc: { upvotes: -1 } }
+        };
+
+    const changed = await db.collection("memes").updateOne(update.filter, {
+      ...update.change,
+      $set: { updatedAt: new Date() }
+    });
+
+    if (changed.modifiedCount > 0) {
+      const event = { type: 'upvote', memeId: memeObjectId, userId };
+      if (shouldUpvote) {
+        Event.track(event);
+      } else {
+        Event.untrack(event);
+      }
+    }
+
+    const updatedMeme = await db.collection("memes").findOne(
+      { _id: memeObjectId },
+      { projection: { upvotes: 1, upvotedBy: 1 } }
+    );
+
     res.json({
       success: true,
-      message: 'Meme upvoted successfully',
-      upvotes: result.value.upvotes,
-      memeId: result.value._id
+      message: shouldUpvote ? 'Meme upvoted successfully' : 'Upvote removed successfully',
+      upvotes: updatedMeme.upvotes,
+      hasUpvoted: shouldUpvote,
+      memeId: updatedMeme._id
     });
 
   } catch (error) {
@@ -627,7 +862,7 @@ router.post('/update-upvote', async (req, res) => {
 });
 
 // Track downloads
-router.post('/track-downloads', async (req, res) => {
+router.post('/track-downloads', optionalAuth, async (req, res) => {
   try {
     const { memeId } = req.body;
     
@@ -642,25 +877,39 @@ router.post('/track-downloads', async (req, res) => {
     const db = await connectToDB();
     const { ObjectId } = require('mongodb');
 
-    const result = await db.collection("memes").findOneAndUpdate(
+    const meme = await db.collection("memes").findOne(
       { _id: new ObjectId(memeId) },
-      { 
-        $inc: { downloads: 1 },
-        $set: { updatedAt: new Date() }
-      },
-      { returnDocument: 'after' }
+      { projection: { downloads: 1 } }
     );
 
-    if (!result.value) {
+    if (!meme) {
       return res.status(404).json({
         success: false,
         message: 'Meme not found'
       });
     }
 
+    // Repeated downloads by the same viewer within VIEW_DEDUPE_MINUTES count once
+    const counted = await Event.trackDownload({ memeId: meme._id, userId: req.user?._id || null, ip: req.ip });
+    if (!counted) {
+      return res.json({
+        success: true,
+        downloads: meme.downloads || 0
+      });
+    }
+
+    const result = await db.collection("memes").findOneAndUpdate(
+      { _id: meme._id },
+      { 
+        $inc: { downloads: 1 },
+        $set: { updatedAt: new Date() }
+      },
+      { returnDocument: 'after' }
+    );
+
     res.json({
       success: true,
-      downloads: result.value.downloads
+      downloads: result.value ? result.value.downloads : (meme.downloads || 0) + 1
     });
 
   } catch (error) {
@@ -674,7 +923,7 @@ router.post('/track-downloads', async (req, res) => {
 });
 
 // Get all memes (with pagination and filters)
-router.get('/memes', async (req, res) => {
+router.get('/memes', optionalAuth, async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -686,7 +935,7 @@ router.get('/memes', async (req, res) => {
     const skip = (page - 1) * limit;
     
     // Build query
-    let query = {};
+    let query = { ...Meme.PUBLIC_FILTER };
     if (tags) {
       const tagArray = tags.split(',').map(tag => tag.trim().toLowerCase());
       query.tags = { $in: tagArray };
@@ -713,16 +962,7 @@ router.get('/memes', async (req, res) => {
 
     res.json({
       success: true,
-      memes: memes.map(meme => ({
-        id: meme._id,
-        image_url: meme.image_url,
-        tags: meme.tags,
-        upvotes: meme.upvotes,
-        downloads: meme.downloads,
-        title: meme.title,
-        description: meme.description,
-        createdAt: meme.createdAt
-      })),
+      memes: memes.map(meme => formatMemeResponse(meme, req.user?._id)),
       pagination: {
         current: parseInt(page),
         total: Math.ceil(total / limit),
@@ -741,8 +981,328 @@ router.get('/memes', async (req, res) => {
   }
 });
 
+// Get a single meme with related memes
+router.get('/memes/:id', optionalAuth, async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.id);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    const requestedRelated = parseInt(req.query.relatedLimit);
+    const relatedLimit = Number.isNaN(requestedRelated) ? 8 : Math.min(24, Math.max(0, requestedRelated));
+
+    // Connect to database
+    const db = await connectToDB();
+
+    const meme = await db.collection("memes").findOne({ _id: memeId });
+
+    // Memes hidden by moderation look like missing memes to everyone but their uploader and admins
+    if (!meme || !canViewMeme(meme, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meme not found'
+      });
+    }
+
+    Event.trackView({ memeId, userId: req.user?._id || null, ip: req.ip });
+
+    const uploader = meme.uploadedBy ? await User.findById(meme.uploadedBy) : null;
+
+    // Candidates share at least one tag or description word with this meme
+    const descriptionWords = tokenize(meme.description);
+    const candidateQuery = { $or: [{ tags: { $in: meme.tags || [] } }] };
+    if (descriptionWords.size > 0) {
+      candidateQuery.$or.push({
+        description: { $regex: `\\b(${[...descriptionWords].join('|')})\\b`, $options: 'i' }
+      });
+    }
+
+    const candidates = relatedLimit === 0 ? [] : await db.collection("memes").find({
+      ...Meme.PUBLIC_FILTER,
+      _id: { $ne: memeId },
+      ...candidateQuery
+    })
+      .sort({ upvotes: -1, createdAt: -1 })
+      .limit(200)
+      .toArray();
+
+    // Rank by tag overlap first, then description similarity
+    const related = candidates
+      .map(candidate => {
+        const tagScore = jaccardSimilarity(meme.tags, candidate.tags);
+        const descriptionScore = jaccardSimilarity(descriptionWords, tokenize(candidate.description));
+        return {
+          meme: candidate,
+          similarityScore: Math.round((tagScore * 0.7 + descriptionScore * 0.3) * 1000) / 1000
+        };
+      })
+      .filter(item => item.similarityScore > 0)
+      .sort((a, b) => b.similarityScore - a.similarityScore || b.meme.upvotes - a.meme.upvotes)
+      .slice(0, relatedLimit)
+      .map(item => ({
+        ...formatMemeResponse(item.meme, req.user?._id),
+        similarityScore: item.similarityScore
+      }));
+
+    res.json({
+      success: true,
+      meme: {
+        ...formatMemeResponse(meme, req.user?._id),
+        metadata: meme.metadata,
+        moderation: canManageMeme(meme, req.user) ? meme.moderation || null : undefined,
+        uploader: uploader ? User.toAuthor(uploader) : null
+      },
+      related: related
+    });
+
+  } catch (error) {
+    console.error('Get meme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get meme',
+      error: error.message
+    });
+  }
+});
+
+// Poll a meme's AI enrichment status. Hidden memes are only visible to their
+// uploader and admins, like GET /memes/:id
+router.get('/memes/:id/status', optionalAuth, async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.id);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    // Connect to database
+    const db = await connectToDB();
+
+    const meme = await db.collection("memes").findOne(
+      { _id: memeId },
+      { projection: { status: 1, tags: 1, description: 1, aiFallback: 1, enrichmentError: 1, enrichedAt: 1, moderationStatus: 1, uploadedBy: 1 } }
+    );
+
+    if (!meme || !canViewMeme(meme, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meme not found'
+      });
+    }
+
+    const job = await queue.findLatestForMeme(ENRICH_JOB_TYPE, memeId);
+
+    res.json({
+      success: true,
+      memeId: meme._id,
+      status: meme.status || 'ready',
+      tags: meme.tags,
+      description: meme.description,
+      fallback: meme.aiFallback || { tags: false, description: false },
+      enrichedAt: meme.enrichedAt || null,
+      error: meme.enrichmentError || null,
+      moderationStatus: meme.moderationStatus || 'approved',
+      job: job ? {
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.status === 'pending' ? job.runAt : null,
+        lastError: job.lastError
+      } : null
+    });
+
+  } catch (error) {
+    console.error('Meme status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get meme status',
+      error: error.message
+    });
+  }
+});
+
+// Edit a meme's title, description or tags (uploader or admin only)
+router.patch('/memes/:id', authenticate, async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.id);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    const { title, description, tags } = req.body;
+    const changes = {};
+
+    if (title !== undefined) {
+      if (typeof title !== 'string' || title.trim().length > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Title must be a string of at most 100 characters'
+        });
+      }
+      changes.title = title.trim();
+    }
+
+    if (description !== undefined) {
+      if (typeof description !== 'string' || description.trim().length > 500) {
+        return res.status(400).json({
+          success: false,
+          message: 'Description must be a string of at most 500 characters'
+        });
+      }
+      changes.description = description.trim().toLowerCase(); // Same normalisation as upload
+    }
+
+    if (tags !== undefined) {
+      const tagArray = (Array.isArray(tags) ? tags : String(tags).split(','))
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(tag => tag.length > 0);
+      const uniqueTags = [...new Set(tagArray)];
+
+      if (uniqueTags.length === 0 || uniqueTags.length > 10 || !validateTags(uniqueTags)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tags must be 1-10 alphanumeric tags of at most 50 characters'
+        });
+      }
+      changes.tags = uniqueTags;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update. Provide title, description or tags.'
+      });
+    }
+
+    // Connect to database
+    const db = await connectToDB();
+
+    const meme = await db.collection("memes").findOne({ _id: memeId });
+
+    if (!meme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meme not found'
+      });
+    }
+
+    if (!canManageMeme(meme, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own memes'
+      });
+    }
+
+    // Edited text goes through the banned-word lists again; a match sends the
+    // meme back to the review queue
+    const update = { ...changes, updatedAt: new Date() };
+    const reasons = checkText({ ...meme, ...changes });
+    if (reasons.length > 0 && meme.moderationStatus !== 'rejected') {
+      update.moderationStatus = 'flagged';
+      update['moderation.reasons'] = reasons;
+      update['moderation.checkedAt'] = new Date();
+    }
+
+    const result = await db.collection("memes").findOneAndUpdate(
+      { _id: memeId },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    if (update.moderationStatus) {
+      await Template.refreshMemeCount(meme.templateId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Meme updated successfully',
+      meme: formatMemeResponse(result.value, req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Edit meme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update meme',
+      error: error.message
+    });
+  }
+});
+
+// Delete a meme and its stored image (uploader or admin only)
+router.delete('/memes/:id', authenticate, async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.id);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    // Connect to database
+    const db = await connectToDB();
+
+    const meme = await db.collection("memes").findOne({ _id: memeId });
+
+    if (!meme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meme not found'
+      });
+    }
+
+    if (!canManageMeme(meme, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own memes'
+      });
+    }
+
+    // Remove the image first so a failure doesn't leave an orphaned asset behind
+    const memeStorage = getMemeStorage(meme);
+    if (memeStorage) {
+      await memeStorage.driver.delete(memeStorage.id, { resourceType: memeStorage.resourceType });
+    }
+    if (meme.posterStorage) {
+      const posterStorage = getPosterStorage(meme);
+      await posterStorage.driver.delete(posterStorage.id);
+    }
+
+    await db.collection("memes").deleteOne({ _id: memeId });
+    await Comment.deleteForMeme(memeId);
+    await Favorite.deleteForMeme(memeId);
+    await Board.removeMemeEverywhere(memeId);
+    await Event.deleteForMeme(memeId);
+
+    await Template.refreshMemeCount(meme.templateId);
+
+    res.json({
+      success: true,
+      message: 'Meme deleted successfully',
+      memeId: memeId
+    });
+
+  } catch (error) {
+    console.error('Delete meme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete meme',
+      error: error.message
+    });
+  }
+});
+
 // Get memes by specific tag (this must be last among GET routes)
-router.get('/:tag', async (req, res) => {
+router.get('/:tag', optionalAuth, async (req, res) => {
   try {
     const { tag } = req.params;
     const { page = 1, limit = 20, sort = 'recent' } = req.query;
@@ -761,6 +1321,7 @@ router.get('/:tag', async (req, res) => {
     const db = await connectToDB();
 
     const memes = await db.collection("memes").find({
+      ...Meme.PUBLIC_FILTER,
       tags: tag.toLowerCase()
     })
     .sort(sortCriteria)
@@ -769,22 +1330,14 @@ router.get('/:tag', async (req, res) => {
     .toArray();
 
     const total = await db.collection("memes").countDocuments({
+      ...Meme.PUBLIC_FILTER,
       tags: tag.toLowerCase()
     });
 
     res.json({
       success: true,
       tag: tag,
-      memes: memes.map(meme => ({
-        id: meme._id,
-        image_url: meme.image_url,
-        tags: meme.tags,
-        upvotes: meme.upvotes,
-        downloads: meme.downloads,
-        title: meme.title,
-        description: meme.description,
-        createdAt: meme.createdAt
-      })),
+      memes: memes.map(meme => formatMemeResponse(meme, req.user?._id)),
       pagination: {
         current: parseInt(page),
         total: Math.ceil(total / limit),
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const { formatMemeResponse } = require('../utils/helpers');
+const { recommend } = require('../services/recommendations');
+
+// "Memes you might like". Signed in users get recommendations from their
+// interaction history; anonymous users (and users without history) get popular memes.
+router.get('/recommendations', optionalAuth, async (req, res) => {
+  try {
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+    const { strategy, items } = await recommend(req.user || null, { limit });
+
+    res.json({
+      success: true,
+      strategy: strategy,
+      memes: items.map(({ meme, score, reasons }) => ({
+        ...formatMemeResponse(meme, req.user?._id),
+        recommendation: {
+          score: Math.round(score * 1000) / 1000,
+          ...reasons
+        }
+      }))
+    });
+
+  } catch (error) {
+    console.error('Recommendations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get recommendations',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { toObjectId, canViewMeme } = require('../utils/helpers');
+const { hideReportedMeme } = require('../services/moderation');
+const Meme = require('../models/Meme');
+const Report = require('../models/Report');
+
+// Report a meme as stolen, offensive, infringing copyright, spam or other.
+// One open report per user and meme; enough open reports hide the meme until
+// an admin resolves them.
+router.post('/memes/:id/report', authenticate, async (req, res) => {
+  try {
+    const memeId = toObjectId(req.params.id);
+    if (!memeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid meme ID'
+      });
+    }
+
+    const { reason, comment = '' } = req.body;
+
+    if (!Report.REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `reason must be one of: ${Report.REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    if (typeof comment !== 'string' || comment.trim().length > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment must be a string of at most 1000 characters'
+      });
+    }
+
+    if (reason === 'other' && comment.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please describe the problem in the comment'
+      });
+    }
+
+    const memes = await Meme.getCollection();
+    const meme = await memes.findOne({ _id: memeId }, { projection: { uploadedBy: 1, moderationStatus: 1 } });
+
+    if (!meme || !canViewMeme(meme, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meme not found'
+      });
+    }
+
+    const reports = await Report.getCollection();
+    const now = new Date();
+
+    let report;
+    try {
+      report = {
+        memeId: memeId,
+        reportedBy: req.user._id,
+        reason: reason,
+        comment: comment.trim(),
+        status: 'open',
+        createdAt: now,
+        updatedAt: now
+      };
+      const result = await reports.insertOne(report);
+      report._id = result.insertedId;
+    } catch (insertError) {
+      // Unique index on open reports per user and meme
+      if (insertError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already reported this meme'
+        });
+      }
+      throw insertError;
+    }
+
+    await memes.updateOne({ _id: memeId }, { $inc: { reportCount: 1 } });
+
+    const openReports = await Report.countOpenForMeme(memeId);
+    await hideReportedMeme(memeId, openReports);
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks, the report was sent to the moderators',
+      report: {
+        id: report._id,
+        memeId: memeId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Report meme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report meme',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
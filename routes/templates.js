@@ -0,0 +1,541 @@
+const express = require('express');
+const router = express.Router();
+const { imageUpload, handleMulterError } = require('../middleware/upload');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const {
+  formatMemeResponse,
+  toObjectId,
+  canManageMeme,
+  validateTags,
+  normalizeTags,
+  validatePagination
+} = require('../utils/helpers');
+const { buildRenditions } = require('../utils/renditions');
+const { normalizeTextBoxes, renderMeme } = require('../utils/memeRenderer');
+const { probeMedia } = require('../utils/media');
+const { storage, getMemeStorage } = require('../storage');
+const { publishMeme } = require('../services/memeUpload');
+const { moderateMeme, checkText } = require('../services/moderation');
+const Template = require('../models/Template');
+const Meme = require('../models/Meme');
+
+const SLOT_NAME_PATTERN = /^[a-z0-9_-]{1,30}$/;
+
+// Validate template slots: named text boxes without text (geometry and style only)
+const normalizeSlots = (slots) => {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (typeof slots === 'string') {
+    try {
+      slots = JSON.parse(slots);
+    } catch (error) {
+      throw invalid('slots must be valid JSON');
+    }
+  }
+
+  if (!Array.isArray(slots) || slots.length === 0) {
+    throw invalid('At least one text slot is required');
+  }
+
+  const names = new Set();
+  slots.forEach((slot, index) => {
+    const name = slot && typeof slot.name === 'string' ? slot.name.toLowerCase() : '';
+    if (!SLOT_NAME_PATTERN.test(name)) {
+      throw invalid(`slots[${index}].name must be 1-30 letters, numbers, - or _`);
+    }
+    if (names.has(name)) {
+      throw invalid(`Duplicate slot name "${name}"`);
+    }
+    names.add(name);
+  });
+
+  // Reuse the composer's validation for geometry, fonts and colours
+  const boxes = normalizeTextBoxes(slots.map(slot => ({ ...slot, text: '' })), { allowEmptyText: true });
+
+  return boxes.map((box, index) => {
+    const { text, ...style } = box;
+    return {
+      name: slots[index].name.toLowerCase(),
+      label: typeof slots[index].label === 'string' ? slots[index].label.slice(0, 60) : slots[index].name,
+      defaultText: typeof slots[index].defaultText === 'string' ? slots[index].defaultText.slice(0, 200) : '',
+      uppercase: slots[index].uppercase !== false,
+      ...style
+    };
+  });
+};
+
+const respondWithError = (res, error, message) => {
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message: message,
+    error: error.message
+  });
+};
+
+// Browse and search templates
+router.get('/', async (req, res) => {
+  try {
+    const { q, sort = 'popular' } = req.query;
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+
+    const templates = await Template.getCollection();
+
+    const query = { ...Template.PUBLIC_FILTER, ...(q && { $text: { $search: String(q).slice(0, 200) } }) };
+    let sortCriteria = sort === 'recent'
+      ? { createdAt: -1 }
+      : { memeCount: -1, createdAt: -1 };
+    const projection = {};
+    if (q) {
+      projection.score = { $meta: 'textScore' };
+      sortCriteria = { score: { $meta: 'textScore' }, ...sortCriteria };
+    }
+
+    const results = await templates.find(query, { projection })
+      .sort(sortCriteria)
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await templates.countDocuments(query);
+
+    res.json({
+      success: true,
+      templates: results.map(Template.formatTemplateResponse),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: results.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    respondWithError(res, error, 'Failed to get templates');
+  }
+});
+
+// Register a new template: blank image plus named text slots
+router.post('/', authenticate, imageUpload.single('template'), handleMulterError, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file provided'
+      });
+    }
+
+    const media = await probeMedia(req.file.buffer);
+    if (media.type !== 'image') {
+      return res.status(400).json({
+        success: false,
+        message: 'Templates must be still images'
+      });
+    }
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (name.length === 0 || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template name is required (at most 100 characters)'
+      });
+    }
+
+    const tags = normalizeTags(req.body.tags);
+    if (tags.length > 10 || (tags.length > 0 && !validateTags(tags))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tags must be at most 10 alphanumeric tags of at most 50 characters'
+      });
+    }
+
+    const slots = normalizeSlots(req.body.slots);
+    const templateDescription = typeof req.body.description === 'string' ? req.body.description.trim().slice(0, 500) : '';
+
+    // Templates are listed publicly, so they get the same automated checks as
+    // memes before they are; ones that can't be checked wait for an admin
+    let moderation;
+    try {
+      moderation = await moderateMeme({
+        imageBase64: media.buffer.toString('base64'),
+        mimeType: media.mimeType,
+        title: name,
+        description: templateDescription,
+        tags
+      });
+    } catch (moderationError) {
+      console.error('Template moderation failed:', moderationError.message);
+      moderation = { status: 'flagged', scores: {}, reasons: ['Automated moderation failed'] };
+    }
+
+    // Store the blank image with the configured storage driver
+    const uploadResult = await storage.put(media.buffer, {
+      folder: 'neon-meme-marketplace/templates',
+      resourceType: 'image'
+    });
+
+    const templates = await Template.getCollection();
+    const now = new Date();
+    const templateData = {
+      name: name,
+      description: templateDescription,
+      tags: tags,
+      image_url: uploadResult.url,
+      storage: {
+        driver: storage.name,
+        id: uploadResult.id
+      },
+      metadata: {
+        width: uploadResult.width,
+        height: uploadResult.height,
+        format: uploadResult.format,
+        size: uploadResult.bytes
+      },
+      slots: slots,
+      memeCount: 0,
+      moderationStatus: moderation.status,
+      moderation: {
+        scores: moderation.scores,
+        reasons: moderation.reasons,
+        checkedAt: now
+      },
+      createdBy: req.user._id,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await templates.insertOne(templateData);
+
+    res.status(201).json({
+      success: true,
+      message: moderation.status === 'approved'
+        ? 'Template created successfully'
+        : 'Template created, it will be listed once a moderator approves it',
+      template: Template.formatTemplateResponse({ ...templateData, _id: result.insertedId })
+    });
+
+  } catch (error) {
+    respondWithError(res, error, 'Failed to create template');
+  }
+});
+
+// Get a template with its most popular derived memes
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const templateId = toObjectId(req.params.id);
+    if (!templateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
+    }
+
+    const templates = await Template.getCollection();
+    const template = await templates.findOne({ _id: templateId });
+
+    if (!template || !Template.canViewTemplate(template, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const memes = await Meme.getCollection();
+    const topMemes = await memes.find({ ...Meme.PUBLIC_FILTER, templateId })
+      .sort({ upvotes: -1, createdAt: -1 })
+      .limit(12)
+      .toArray();
+
+    res.json({
+      success: true,
+      template: Template.formatTemplateResponse(template),
+      topMemes: topMemes.map(meme => formatMemeResponse(meme, req.user?._id))
+    });
+
+  } catch (error) {
+    respondWithError(res, error, 'Failed to get template');
+  }
+});
+
+// List every meme derived from a template
+router.get('/:id/memes', optionalAuth, async (req, res) => {
+  try {
+    const templateId = toObjectId(req.params.id);
+    if (!templateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
+    }
+
+    const { sort = 'recent' } = req.query;
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+
+    // Determine sort criteria
+    let sortCriteria = { createdAt: -1 }; // default: recent
+    if (sort === 'popular') {
+      sortCriteria = { upvotes: -1, downloads: -1 };
+    }
+
+    const memes = await Meme.getCollection();
+    const results = await memes.find({ ...Meme.PUBLIC_FILTER, templateId })
+      .sort(sortCriteria)
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await memes.countDocuments({ ...Meme.PUBLIC_FILTER, templateId });
+
+    res.json({
+      success: true,
+      templateId: templateId,
+      memes: results.map(meme => formatMemeResponse(meme, req.user?._id)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: results.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    respondWithError(res, error, 'Failed to get template memes');
+  }
+});
+
+// Edit a template's name, description, tags or slots (creator or admin only)
+router.patch('/:id', authenticate, async (req, res) => {
+  try {
+    const templateId = toObjectId(req.params.id);
+    if (!templateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
+    }
+
+    const templates = await Template.getCollection();
+    const template = await templates.findOne({ _id: templateId });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (!canManageMeme({ uploadedBy: template.createdBy }, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own templates'
+      });
+    }
+
+    const { name, description, tags, slots } = req.body;
+    const changes = {};
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Template name must be 1-100 characters'
+        });
+      }
+      changes.name = name.trim();
+    }
+    if (description !== undefined) {
+      changes.description = String(description).trim().slice(0, 500);
+    }
+    if (tags !== undefined) {
+      changes.tags = normalizeTags(tags);
+      if (changes.tags.length > 10 || (changes.tags.length > 0 && !validateTags(changes.tags))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Tags must be at most 10 alphanumeric tags of at most 50 characters'
+        });
+      }
+    }
+    if (slots !== undefined) {
+      changes.slots = normalizeSlots(slots);
+    }
+
+    // Edited text goes through the banned-word lists again; a match takes the
+    // template back out of the listing until an admin reviews it
+    const update = { ...changes, updatedAt: new Date() };
+    const merged = { ...template, ...changes };
+    const reasons = checkText({ title: merged.name, description: merged.description, tags: merged.tags || [] });
+    if (reasons.length > 0 && template.moderationStatus !== 'rejected') {
+      update.moderationStatus = 'flagged';
+      update['moderation.reasons'] = reasons;
+      update['moderation.checkedAt'] = new Date();
+    }
+
+    const result = await templates.findOneAndUpdate(
+      { _id: templateId },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      template: Template.formatTemplateResponse(result.value)
+    });
+
+  } catch (error) {
+    respondWithError(res, error, 'Failed to update template');
+  }
+});
+
+// Delete a template (creator or admin only). Derived memes are kept.
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    const templateId = toObjectId(req.params.id);
+    if (!templateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
+    }
+
+    const templates = await Template.getCollection();
+    const template = await templates.findOne({ _id: templateId });
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    if (!canManageMeme({ uploadedBy: template.createdBy }, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own templates'
+      });
+    }
+
+    const templateStorage = getMemeStorage(template);
+    if (templateStorage) {
+      await templateStorage.driver.delete(templateStorage.id);
+    }
+
+    await templates.deleteOne({ _id: templateId });
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully',
+      templateId: templateId
+    });
+
+  } catch (error) {
+    respondWithError(res, error, 'Failed to delete template');
+  }
+});
+
+// Fill in a template's slots. Returns the image, or with `publish: true`
+// stores it as a new meme linked to the template.
+router.post('/:id/render', optionalAuth, async (req, res) => {
+  try {
+    const templateId = toObjectId(req.params.id);
+    if (!templateId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid template ID'
+      });
+    }
+
+    const { texts = {}, format = 'png', publish = false, title, description = '' } = req.body;
+
+    if (typeof texts !== 'object' || Array.isArray(texts)) {
+      return res.status(400).json({
+        success: false,
+        message: 'texts must be an object of slot name to text'
+      });
+    }
+
+    if (publish && !req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Log in to publish a meme'
+      });
+    }
+
+    const templates = await Template.getCollection();
+    const template = await templates.findOne({ _id: templateId });
+
+    if (!template || !Template.canViewTemplate(template, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const textBoxes = template.slots
+      .map(slot => ({
+        ...slot,
+        text: typeof texts[slot.name] === 'string' ? texts[slot.name] : slot.defaultText
+      }))
+      .filter(box => box.text && box.text.trim().length > 0);
+
+    if (textBoxes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide text for at least one slot: ${template.slots.map(slot => slot.name).join(', ')}`
+      });
+    }
+
+    const templateStorage = getMemeStorage(template);
+    const image = await templateStorage.driver.get(templateStorage.id);
+    const rendered = await renderMeme(image, textBoxes, { format });
+
+    if (!publish) {
+      return res.type(rendered.format).send(rendered.buffer);
+    }
+
+    const { meme, duplicateOf, generateDescription } = await publishMeme({
+      buffer: rendered.buffer,
+      description: description,
+      uploadedBy: req.user._id,
+      fields: {
+        ...(title && { title: String(title).trim().slice(0, 100) }),
+        templateId: template._id
+      },
+      // Other renders of this template share its base image
+      duplicateFilter: { templateId: { $ne: template._id } }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Meme created from template, AI enrichment in progress',
+      meme: {
+        id: meme._id,
+        image_url: meme.image_url,
+        renditions: buildRenditions(meme),
+        title: meme.title,
+        description: meme.description,
+        templateId: meme.templateId,
+        uploadedBy: meme.uploadedBy,
+        status: meme.status,
+        createdAt: meme.createdAt
+      },
+      metadata: {
+        descriptionGenerated: generateDescription,
+        duplicateOf: duplicateOf,
+        statusUrl: `/api/memes/${meme._id}/status`
+      }
+    });
+
+  } catch (error) {
+    respondWithError(res, error, 'Failed to render template');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { formatMemeResponse, canManageMeme, validatePagination, buildTagStatsPipeline } = require('../utils/helpers');
+const Meme = require('../models/Meme');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+
+const TOP_TAGS_LIMIT = 10;
+
+const PROFILE_MEME_SORTS = {
+  recent: { createdAt: -1 },
+  popular: { upvotes: -1, downloads: -1, createdAt: -1 }
+};
+
+// Edit the signed in user's profile: { username?, bio? }
+router.patch('/users/me', authenticate, async (req, res) => {
+  try {
+    const { username, bio } = req.body;
+    const changes = {};
+
+    if (username !== undefined) {
+      const normalized = typeof username === 'string' ? username.trim().toLowerCase() : '';
+      if (!User.isValidUsername(normalized)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username must be 3-30 characters: lowercase letters, numbers and underscores, starting with a letter'
+        });
+      }
+      changes.username = normalized;
+    }
+
+    if (bio !== undefined) {
+      if (typeof bio !== 'string' || bio.trim().length > User.MAX_BIO_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Bio must be a string of at most ${User.MAX_BIO_LENGTH} characters`
+        });
+      }
+      changes.bio = bio.trim();
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update. Provide username or bio.'
+      });
+    }
+
+    const user = await User.updateProfile(req.user._id, changes);
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      user: User.toPublicUser(user)
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile',
+      error: error.message
+    });
+  }
+});
+
+// Public profile by user id or username, with stats over the user's public memes
+router.get('/users/:id', optionalAuth, async (req, res) => {
+  try {
+    const user = await User.findByIdOrUsername(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const memes = await Meme.getCollection();
+    const match = { uploadedBy: user._id, ...Meme.PUBLIC_FILTER };
+
+    const [[totals], topTags, followers, isFollowing] = await Promise.all([
+      memes.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            uploads: { $sum: 1 },
+            upvotesReceived: { $sum: '$upvotes' },
+            downloadsReceived: { $sum: '$downloads' }
+          }
+        }
+      ]).toArray(),
+      memes.aggregate([{ $match: match }, ...buildTagStatsPipeline(TOP_TAGS_LIMIT)]).toArray(),
+      Follow.countFollowers('user', user._id),
+      req.user ? Follow.isFollowing(req.user._id, 'user', user._id) : false
+    ]);
+
+    res.json({
+      success: true,
+      profile: {
+        ...User.toProfile(user),
+        stats: {
+          uploads: totals ? totals.uploads : 0,
+          upvotesReceived: totals ? totals.upvotesReceived : 0,
+          downloadsReceived: totals ? totals.downloadsReceived : 0,
+          followers: followers
+        },
+        isFollowing: isFollowing,
+        topTags: topTags.map(tag => ({ tag: tag.tag, count: tag.count, totalUpvotes: tag.totalUpvotes }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get profile',
+      error: error.message
+    });
+  }
+});
+
+// A user's memes, same shape as GET /api/memes. `sort` is recent (default) or popular.
+// Users (and admins) also see their memes that are still hidden by moderation.
+router.get('/users/:id/memes', optionalAuth, async (req, res) => {
+  try {
+    const { sort = 'recent' } = req.query;
+    if (!PROFILE_MEME_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `sort must be one of: ${Object.keys(PROFILE_MEME_SORTS).join(', ')}`
+      });
+    }
+
+    const user = await User.findByIdOrUsername(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { page, limit, skip } = validatePagination(req.query.page, req.query.limit);
+
+    const query = { uploadedBy: user._id };
+    if (!canManageMeme({ uploadedBy: user._id }, req.user)) {
+      Object.assign(query, Meme.PUBLIC_FILTER);
+    }
+
+    const memes = await Meme.getCollection();
+    const results = await memes.find(query)
+      .sort(PROFILE_MEME_SORTS[sort])
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await memes.countDocuments(query);
+
+    res.json({
+      success: true,
+      memes: results.map(meme => formatMemeResponse(meme, req.user?._id)),
+      pagination: {
+        current: page,
+        total: Math.ceil(total / limit),
+        count: results.length,
+        totalItems: total
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user memes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user memes',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -7,12 +7,42 @@ require('dotenv').config();
 
 const app = express();
 
+// Passport strategies (Google OAuth or the local stand-in)
+const passport = require('./config/passport');
+
 // Import routes
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
+const commentRoutes = require('./routes/comments');
+const boardRoutes = require('./routes/boards');
+const userRoutes = require('./routes/users');
+const followRoutes = require('./routes/follows');
+const recommendationRoutes = require('./routes/recommendations');
+const composerRoutes = require('./routes/composer');
+const templateRoutes = require('./routes/templates');
 const memeRoutes = require('./routes/memes');
+const { startJobWorker } = require('./jobs');
+const diskStorage = require('./storage/disk');
 
 // Security middleware
 app.use(helmet());
 
+// CORS configuration
+app.use(cors({
+  origin: "*" || 'http://localhost:3000',
+  credentials: true
+}));
+
+// Files stored by the local storage driver. Kept out of the API rate limit,
+// since a single gallery page loads dozens of thumbnails and renditions, but
+// behind a more generous one of its own because uncached presets are rendered
+const mediaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 2000 // limit each IP to 2000 files per windowMs
+});
+app.use(diskStorage.mountPath, mediaLimiter, diskStorage.router);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -20,16 +50,13 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// CORS configuration
-app.use(cors({
-  origin: "*" || 'http://localhost:3000',
-  credentials: true
-}));
-
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Authentication (stateless - JWTs are issued after the OAuth callback)
+app.use(passport.initialize());
+
 // // MongoDB connection
 // await mongoose.connect(process.env.MONGODB_URI, {
 //   useNewUrlParser: true,
@@ -39,6 +66,16 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // .catch((error) => console.error('MongoDB connection error:', error));
 
 // Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api', reportRoutes);
+app.use('/api', commentRoutes);
+app.use('/api', boardRoutes);
+app.use('/api', userRoutes);
+app.use('/api', followRoutes);
+app.use('/api', recommendationRoutes);
+app.use('/api', composerRoutes);
+app.use('/api/templates', templateRoutes);
 app.use('/api', memeRoutes);
 
 // Health check endpoint
@@ -72,4 +109,11 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Neon Meme Marketplace API running on port ${PORT}`);
   console.log(`🌟 Environment: ${process.env.NODE_ENV}`);
+
+  // Background jobs (AI enrichment) run in-process unless a separate worker is used
+  if (process.env.RUN_JOB_WORKER !== 'false') {
+    startJobWorker({
+      pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS ?? '5000')
+    });
+  }
 });
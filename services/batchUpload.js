@@ -0,0 +1,263 @@
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { publishMeme, DuplicateMemeError } = require('./memeUpload');
+const { MAX_VIDEO_SIZE } = require('../utils/media');
+const { normalizeTags, validateTags } = require('../utils/helpers');
+
+// Batch uploads: many files (or one zip archive) pushed through the regular
+// upload pipeline with bounded concurrency, reporting a result per file.
+
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES ?? '50');
+const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_UPLOAD_CONCURRENCY ?? '3'));
+const MAX_ARCHIVE_UNCOMPRESSED_SIZE = 200 * 1024 * 1024;
+const MANIFEST_NAME = 'manifest.json';
+const MAX_MANIFEST_SIZE = 1024 * 1024;
+// Zip compression methods
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+const batchError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const parseJsonField = (value, field) => {
+  if (value === undefined || value === null || value === '') return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw batchError(`${field} must be valid JSON`);
+  }
+};
+
+// Inflate one archive entry. Header sizes come from the client, so the real
+// output is counted as it streams out of the inflater and inflation stops as
+// soon as it passes the entry's declared size or the archive's remaining
+// `budget` (shared by every entry of the archive).
+const inflateEntry = (entry, budget) => {
+  const { method, size, crc } = entry.header;
+  const compressed = entry.getCompressedData();
+
+  const checked = (data) => {
+    if (data.length !== size || zlib.crc32(data) !== crc) {
+      throw batchError(`${entry.entryName} is corrupt`);
+    }
+    return data;
+  };
+
+  if (method === ZIP_STORED) {
+    if (compressed.length > budget.remaining) {
+      return Promise.reject(batchError('Archive is too large once extracted', 413));
+    }
+    budget.remaining -= compressed.length;
+    return Promise.resolve().then(() => checked(compressed));
+  }
+  if (method !== ZIP_DEFLATED) {
+    return Promise.reject(batchError(`${entry.entryName} uses an unsupported compression method`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const inflater = zlib.createInflateRaw();
+    const chunks = [];
+    let inflated = 0;
+
+    const abort = (error) => {
+      inflater.destroy();
+      reject(error);
+    };
+
+    inflater.on('data', (chunk) => {
+      inflated += chunk.length;
+      budget.remaining -= chunk.length;
+      if (budget.remaining < 0) {
+        return abort(batchError('Archive is too large once extracted', 413));
+      }
+      if (inflated > size) {
+        return abort(batchError(`${entry.entryName} is larger than its header says`));
+      }
+      chunks.push(chunk);
+    });
+    inflater.on('error', () => abort(batchError(`${entry.entryName} is corrupt`)));
+    inflater.on('end', () => {
+      try {
+        resolve(checked(Buffer.concat(chunks, inflated)));
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    inflater.end(compressed);
+  });
+};
+
+// Files inside a zip archive, skipping folders and OS junk (__MACOSX, dotfiles).
+// Declared sizes are checked against the limits before anything is inflated,
+// and entries whose local header disagrees with the zip directory, or that
+// don't declare a size, are refused. An optional manifest.json holds per-file
+// metadata.
+const extractArchive = async (buffer) => {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw batchError('Archive is not a valid zip file');
+  }
+
+  const entries = zip.getEntries().filter(entry => {
+    const baseName = path.posix.basename(entry.entryName);
+    return !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/') && !baseName.startsWith('.');
+  });
+
+  entries.forEach(entry => {
+    const { header } = entry;
+    if (header.encrypted) {
+      throw batchError(`${entry.entryName} is encrypted`);
+    }
+    if (header.size === 0) {
+      throw batchError(`${entry.entryName} does not declare its size`);
+    }
+
+    // Reading the compressed data loads the entry's local header
+    entry.getCompressedData();
+    const local = header.localHeader;
+    const mismatch = local.method !== header.method || (!local.flags_desc && (
+      local.size !== header.size || local.compressedSize !== header.compressedSize || local.crc !== header.crc
+    ));
+    if (mismatch) {
+      throw batchError(`${entry.entryName} has inconsistent headers`);
+    }
+  });
+
+  const manifestEntry = entries.find(entry => entry.entryName === MANIFEST_NAME);
+  const fileEntries = entries.filter(entry => entry !== manifestEntry);
+
+  if (fileEntries.length > BATCH_MAX_FILES) {
+    throw batchError(`Archives may contain at most ${BATCH_MAX_FILES} files`);
+  }
+
+  const totalSize = fileEntries.reduce((total, entry) => total + entry.header.size, 0);
+  if (totalSize > MAX_ARCHIVE_UNCOMPRESSED_SIZE) {
+    throw batchError('Archive is too large once extracted', 413);
+  }
+
+  let manifest = {};
+  if (manifestEntry) {
+    if (manifestEntry.header.size > MAX_MANIFEST_SIZE) {
+      throw batchError(`${MANIFEST_NAME} is too large`, 413);
+    }
+    const data = await inflateEntry(manifestEntry, { remaining: MAX_MANIFEST_SIZE });
+    manifest = parseJsonField(data.toString('utf8'), MANIFEST_NAME);
+  }
+
+  const budget = { remaining: MAX_ARCHIVE_UNCOMPRESSED_SIZE };
+  const files = fileEntries.map(entry => ({
+    filename: entry.entryName,
+    size: entry.header.size,
+    // Inflated lazily so only files that are about to be processed sit in memory
+    read: () => inflateEntry(entry, budget)
+  }));
+
+  return { files, manifest };
+};
+
+// Per-file description/tags, keyed by file name (or by position for arrays)
+const metadataFor = (metadata, filename, index) => {
+  if (Array.isArray(metadata)) {
+    return metadata[index] || {};
+  }
+  return metadata[filename] || metadata[path.posix.basename(filename)] || {};
+};
+
+const processFile = async (file, index, metadata, uploadedBy, batchHashes) => {
+  const { description = '', tags } = metadataFor(metadata, file.filename, index);
+  const result = { index, filename: file.filename };
+
+  try {
+    if (file.size > MAX_VIDEO_SIZE) {
+      throw batchError('File is too large', 413);
+    }
+
+    const tagArray = normalizeTags(tags);
+    if (tagArray.length > 10 || (tagArray.length > 0 && !validateTags(tagArray))) {
+      throw batchError('Tags must be at most 10 alphanumeric tags of at most 50 characters');
+    }
+
+    const { meme, duplicateOf } = await publishMeme({
+      buffer: await file.read(),
+      description: typeof description === 'string' ? description : '',
+      uploadedBy,
+      fields: tagArray.length > 0 ? { tags: tagArray } : {},
+      batchHashes,
+      filename: file.filename
+    });
+
+    return {
+      ...result,
+      status: duplicateOf ? 'flagged-duplicate' : 'uploaded',
+      memeId: meme._id,
+      image_url: meme.image_url,
+      tags: meme.tags,
+      duplicateOf: duplicateOf,
+      statusUrl: `/api/memes/${meme._id}/status`
+    };
+
+  } catch (error) {
+    if (error instanceof DuplicateMemeError) {
+      return { ...result, status: 'duplicate', error: error.message, duplicate: error.duplicate };
+    }
+
+    if (!error.status) {
+      console.error(`Batch upload of ${file.filename} failed:`, error);
+    }
+    return { ...result, status: 'failed', error: error.message };
+  }
+};
+
+// Run `worker` over `items` with at most `limit` in flight, keeping result order
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+};
+
+// Upload `files` ({ filename, size, read() }) for `uploadedBy`.
+// `metadata` maps file names (or positions) to { description, tags }.
+// Returns { results, summary }; individual failures never abort the batch.
+const uploadBatch = async (files, metadata, uploadedBy) => {
+  if (files.length === 0) {
+    throw batchError('No files provided');
+  }
+  if (files.length > BATCH_MAX_FILES) {
+    throw batchError(`At most ${BATCH_MAX_FILES} files can be uploaded at once`);
+  }
+
+  const batchHashes = [];
+  const results = await mapWithConcurrency(files, BATCH_CONCURRENCY, (file, index) => {
+    return processFile(file, index, metadata, uploadedBy, batchHashes);
+  });
+
+  const summary = { total: results.length, uploaded: 0, duplicates: 0, failed: 0 };
+  results.forEach(result => {
+    if (result.status === 'uploaded' || result.status === 'flagged-duplicate') summary.uploaded++;
+    if (result.status === 'duplicate' || result.status === 'flagged-duplicate') summary.duplicates++;
+    if (result.status === 'failed') summary.failed++;
+  });
+
+  return { results, summary };
+};
+
+module.exports = {
+  BATCH_MAX_FILES,
+  BATCH_CONCURRENCY,
+  parseJsonField,
+  extractArchive,
+  uploadBatch
+};
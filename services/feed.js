@@ -0,0 +1,183 @@
+const Meme = require('../models/Meme');
+const Follow = require('../models/Follow');
+const FeedHistory = require('../models/FeedHistory');
+const trending = require('./trending');
+const { encodeCursor, decodeCursor, buildCursorFilter } = require('../utils/helpers');
+
+// Personalised home feed. Two sources are blended:
+//   followed - new memes from followed creators and tags, newest first. This
+//              stream is paged with a keyset cursor on (createdAt, _id), so
+//              new uploads never shift it and nothing is skipped.
+//   trending - the top memes of the precomputed trending ranking for
+//              FEED_TRENDING_WINDOW (see services/trending.js). The ranking
+//              is refreshed all the time, so this stream isn't paged by
+//              position: each page takes the top memes the user hasn't seen.
+// Every meme delivered is recorded in the user's feed history and never served
+// again, which also keeps the two streams from repeating each other. Pages are
+// recorded by the route once the response has gone out (markFeedSeen), so a
+// failed response doesn't hide its memes.
+
+const FEED_TRENDING_SHARE = parseFloat(process.env.FEED_TRENDING_SHARE ?? '0.25');
+const FEED_TRENDING_WINDOW = trending.isValidWindow(process.env.FEED_TRENDING_WINDOW) ? process.env.FEED_TRENDING_WINDOW : 'week';
+const FEED_SORT = { createdAt: -1, _id: -1 };
+// How many batches of already seen followed memes to skip through per page
+const MAX_FOLLOWED_BATCHES = 5;
+
+const feedError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const followedFilter = (userId, following) => ({
+  ...Meme.PUBLIC_FILTER,
+  uploadedBy: { $ne: userId },
+  $or: [
+    { uploadedBy: { $in: following.users } },
+    { tags: { $in: following.tags } }
+  ]
+});
+
+// Up to `count` unseen memes from followed sources after `position`.
+// Returns { memes, position, exhausted }.
+const findFollowedMemes = async (userId, following, position, count) => {
+  if (count <= 0) return { memes: [], position, exhausted: false };
+
+  const memes = await Meme.getCollection();
+  const filter = followedFilter(userId, following);
+  const batchSize = count * 2;
+  const found = [];
+
+  for (let batch = 0; batch < MAX_FOLLOWED_BATCHES && found.length < count; batch++) {
+    const query = position ? { $and: [filter, buildCursorFilter(position, FEED_SORT)] } : filter;
+    const candidates = await memes.find(query).sort(FEED_SORT).limit(batchSize).toArray();
+    const seen = await FeedHistory.findSeen(userId, candidates.map(meme => meme._id));
+
+    let consumed = 0;
+    for (const meme of candidates) {
+      consumed++;
+      position = [meme.createdAt, meme._id];
+      if (!seen.has(String(meme._id))) {
+        found.push(meme);
+        if (found.length === count) break;
+      }
+    }
+
+    if (candidates.length < batchSize && consumed === candidates.length) {
+      return { memes: found, position, exhausted: true };
+    }
+  }
+
+  return { memes: found, position, exhausted: false };
+};
+
+// Top `count` trending memes the user hasn't seen, skipping `excludeIds`
+const findTrendingMemes = async (userId, excludeIds, count) => {
+  if (count <= 0) return [];
+
+  const ranking = await trending.getRanking(FEED_TRENDING_WINDOW);
+  const excluded = new Set(excludeIds.map(String));
+  const rankedIds = ranking.memes.map(item => item.memeId).filter(id => !excluded.has(String(id)));
+  const seen = await FeedHistory.findSeen(userId, rankedIds);
+  const unseenIds = rankedIds.filter(id => !seen.has(String(id)));
+
+  // Ranked memes can have been hidden since the ranking was computed
+  const memes = await Meme.getCollection();
+  const found = await memes.find({
+    ...Meme.PUBLIC_FILTER,
+    _id: { $in: unseenIds },
+    uploadedBy: { $ne: userId }
+  }).toArray();
+  const memesById = new Map(found.map(meme => [String(meme._id), meme]));
+
+  return unseenIds
+    .map(id => memesById.get(String(id)))
+    .filter(Boolean)
+    .slice(0, count);
+};
+
+// Why a meme is in the feed
+const feedReason = (meme, following) => {
+  if (meme.uploadedBy && following.users.some(id => String(id) === String(meme.uploadedBy))) {
+    return { type: 'creator' };
+  }
+  const tag = (meme.tags || []).find(memeTag => following.tags.includes(memeTag));
+  if (tag) {
+    return { type: 'tag', tag };
+  }
+  return { type: 'trending' };
+};
+
+// One page of `user`'s feed. Returns { memes: [{ meme, reason }], nextCursor };
+// nextCursor is null once the feed has run out. A page can come up short while
+// the followed stream still has memes (every batch looked at was already
+// seen), so the cursor is kept until that stream is exhausted.
+const buildFeed = async (user, { cursor, limit }) => {
+  let position = null;
+  if (cursor) {
+    const values = decodeCursor(cursor, FEED_SORT);
+    if (!values) {
+      throw feedError('Invalid cursor');
+    }
+    position = values[0] === null ? null : values;
+  }
+
+  const following = await Follow.findFollowing(user._id);
+  const hasFollows = following.users.length > 0 || following.tags.length > 0;
+
+  // Without follows the feed is all trending
+  const trendingSlots = hasFollows ? Math.min(limit, Math.max(1, Math.round(limit * FEED_TRENDING_SHARE))) : limit;
+
+  let followed = { memes: [], position, exhausted: true };
+  if (hasFollows) {
+    followed = await findFollowedMemes(user._id, following, position, limit - trendingSlots);
+  }
+
+  const trending = await findTrendingMemes(
+    user._id,
+    followed.memes.map(meme => meme._id),
+    limit - followed.memes.length
+  );
+
+  // Not enough trending memes: top up from followed sources
+  if (followed.memes.length + trending.length < limit && !followed.exhausted) {
+    const trendingIds = new Set(trending.map(meme => String(meme._id)));
+    const more = await findFollowedMemes(user._id, following, followed.position, limit - followed.memes.length - trending.length);
+    followed = {
+      ...more,
+      memes: [...followed.memes, ...more.memes.filter(meme => !trendingIds.has(String(meme._id)))]
+    };
+  }
+
+  // Spread trending memes through the page, e.g. every 4th item at a 25% share
+  const every = Math.max(1, Math.round(1 / Math.max(FEED_TRENDING_SHARE, 0.01)));
+  const page = [];
+  let followedIndex = 0;
+  let trendingIndex = 0;
+  while (followedIndex < followed.memes.length || trendingIndex < trending.length) {
+    const trendingTurn = page.length % every === every - 1 || followedIndex >= followed.memes.length;
+    if (trendingTurn && trendingIndex < trending.length) {
+      page.push(trending[trendingIndex++]);
+    } else {
+      page.push(followed.memes[followedIndex++]);
+    }
+  }
+
+  const nextPosition = followed.position;
+  const nextCursor = page.length < limit && followed.exhausted
+    ? null
+    : encodeCursor(nextPosition ? { createdAt: nextPosition[0], _id: nextPosition[1] } : {}, FEED_SORT);
+
+  return {
+    memes: page.map(meme => ({ meme, reason: feedReason(meme, following) })),
+    nextCursor
+  };
+};
+
+// Record a delivered page in the user's feed history
+const markFeedSeen = (user, memes) => {
+  return FeedHistory.markSeen(user._id, memes.map(({ meme }) => meme._id));
+};
+
+module.exports = {
+  FEED_TRENDING_SHARE,
+  FEED_TRENDING_WINDOW,
+  buildFeed,
+  markFeedSeen
+};
@@ -0,0 +1,187 @@
+const { storage } = require('../storage');
+const Meme = require('../models/Meme');
+const { computePerceptualHash, hashBands, hammingDistance } = require('../utils/imageHash');
+const { computeImageSummary } = require('../utils/renditions');
+const { probeMedia } = require('../utils/media');
+const { canViewMeme } = require('../utils/helpers');
+const { enqueueEnrichment } = require('../jobs/enrichMeme');
+
+// Near-duplicate detection: maximum Hamming distance between perceptual hashes
+// and whether matching uploads are rejected or stored flagged as duplicates
+const DUPLICATE_MAX_DISTANCE = parseInt(process.env.DUPLICATE_MAX_DISTANCE ?? '5');
+const DUPLICATE_POLICY = process.env.DUPLICATE_POLICY === 'flag' ? 'flag' : 'reject';
+
+// Raised when an upload is a near-duplicate and DUPLICATE_POLICY=reject, or
+// when it repeats another file of the same batch. `duplicate` describes the match.
+class DuplicateMemeError extends Error {
+  constructor(duplicate) {
+    super('This meme has already been uploaded');
+    this.name = 'DuplicateMemeError';
+    this.status = 409;
+    this.duplicate = duplicate;
+  }
+}
+
+// The upload pipeline shared by every way of adding a meme: media checks,
+// duplicate check, placeholder generation, storage, insert as 'processing' and
+// AI enrichment. `fields` are extra document fields (e.g. title, tags, templateId).
+// Batch uploads pass `batchHashes`, an array shared by the whole batch, so files
+// repeating an earlier file of the batch are caught before either is stored;
+// those are always rejected, whatever DUPLICATE_POLICY says.
+// Server-rendered memes (templates, composer) pass a `duplicateFilter` that
+// leaves out other renders of the same base image: captions barely move the
+// hash, so those would otherwise all match the first render.
+const publishMeme = async ({
+  buffer,
+  description = '',
+  uploadedBy,
+  fields = {},
+  duplicateFilter = {},
+  batchHashes = null,
+  filename = null
+}) => {
+  description = description.trim();
+
+  // Sniffed file type and size/dimension/duration limits. The metadata-free
+  // copy is what gets stored; GIFs and videos also get a still poster frame
+  // that hashing, placeholders and AI enrichment work from
+  const media = await probeMedia(buffer);
+
+  // Compute a perceptual hash so reposts of the same image can be detected
+  let phash = null;
+  try {
+    phash = await computePerceptualHash(media.poster);
+  } catch (hashError) {
+    console.warn('Failed to compute perceptual hash, skipping duplicate check:', hashError.message);
+  }
+
+  // Checked and recorded without awaiting in between, so files of the batch
+  // processed concurrently still see each other
+  if (phash && batchHashes) {
+    const sibling = batchHashes.find(entry => hammingDistance(phash, entry.phash) <= DUPLICATE_MAX_DISTANCE);
+    if (sibling) {
+      throw new DuplicateMemeError({ filename: sibling.filename, distance: hammingDistance(phash, sibling.phash) });
+    }
+    batchHashes.push({ phash, filename });
+  }
+
+  let duplicateOf = null;
+  if (phash) {
+    const { matches: [closest] } = await Meme.findByPerceptualHash(phash, DUPLICATE_MAX_DISTANCE, { limit: 1, filter: duplicateFilter });
+    if (closest && DUPLICATE_POLICY === 'reject') {
+      // Hidden memes (pending, flagged, rejected) are matched but never shown
+      // to anyone but their uploader
+      throw new DuplicateMemeError({
+        memeId: closest.meme._id,
+        ...(canViewMeme(closest.meme, { _id: uploadedBy }) && { image_url: closest.meme.image_url }),
+        distance: closest.distance
+      });
+    }
+    if (closest) {
+      duplicateOf = closest.meme._id;
+    }
+  }
+
+  // Blurred placeholder and dominant colour for progressive loading
+  let imageSummary = { placeholder: null, dominantColor: null };
+  try {
+    imageSummary = await computeImageSummary(media.poster);
+  } catch (summaryError) {
+    console.warn('Failed to compute image placeholder:', summaryError.message);
+  }
+
+  // Store the file with the configured storage driver (Cloudinary or local disk)
+  const resourceType = media.type === 'video' ? 'video' : 'image';
+  const uploadResult = await storage.put(media.buffer, {
+    folder: 'neon-meme-marketplace',
+    resourceType: resourceType,
+    format: media.format
+  });
+
+  let posterResult = null;
+  if (media.type !== 'image') {
+    posterResult = await storage.put(media.poster, {
+      folder: 'neon-meme-marketplace/posters',
+      resourceType: 'image'
+    });
+  }
+
+  // Tags (and a description, if none was given) are generated by the
+  // enrichment job; until then the meme is stored as 'processing'
+  const generateDescription = description.length === 0;
+
+  const memeData = {
+    image_url: uploadResult.url,
+    storage: {
+      driver: storage.name,
+      id: uploadResult.id,
+      resourceType: resourceType
+    },
+    // Kept for clients/tools that predate storage drivers
+    ...(storage.name === 'cloudinary' && resourceType === 'image' && { cloudinary_id: uploadResult.id }),
+    mediaType: media.type,
+    mimeType: media.mimeType,
+    poster_url: posterResult ? posterResult.url : uploadResult.url,
+    ...(posterResult && {
+      posterStorage: {
+        driver: storage.name,
+        id: posterResult.id
+      }
+    }),
+    tags: [],
+    description: description.toLowerCase(), // Convert to lowercase for consistency
+    upvotes: 0,
+    upvotedBy: [],
+    downloads: 0,
+    uploadedBy: uploadedBy,
+    metadata: {
+      width: uploadResult.width || media.width,
+      height: uploadResult.height || media.height,
+      format: uploadResult.format,
+      size: uploadResult.bytes,
+      duration: media.duration,
+      frameCount: media.frameCount
+    },
+    phash: phash,
+    phashBands: phash ? hashBands(phash) : undefined,
+    placeholder: imageSummary.placeholder,
+    dominantColor: imageSummary.dominantColor,
+    duplicateOf: duplicateOf,
+    status: 'processing',
+    // Hidden from public listings until the enrichment job has moderated it
+    moderationStatus: 'pending',
+    aiFallback: {
+      tags: false,
+      description: false
+    },
+    ...fields,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  const memes = await Meme.getCollection();
+  const result = await memes.insertOne(memeData);
+  const meme = await memes.findOne({ _id: result.insertedId });
+
+  // Without its job the meme would stay hidden and 'processing' forever, so
+  // undo the upload and let the client retry
+  try {
+    await enqueueEnrichment(meme._id, { generateDescription });
+  } catch (error) {
+    await memes.deleteOne({ _id: meme._id });
+    await Promise.all([
+      storage.delete(uploadResult.id, { resourceType }),
+      posterResult && storage.delete(posterResult.id)
+    ]).catch(cleanupError => console.error('Failed to remove files of an unqueued upload:', cleanupError));
+    throw error;
+  }
+
+  return { meme, duplicateOf, generateDescription };
+};
+
+module.exports = {
+  DUPLICATE_MAX_DISTANCE,
+  DUPLICATE_POLICY,
+  DuplicateMemeError,
+  publishMeme
+};
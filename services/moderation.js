@@ -0,0 +1,134 @@
+const fs = require('fs');
+const aiService = require('../config/ai');
+const Meme = require('../models/Meme');
+const Template = require('../models/Template');
+const AuditLog = require('../models/AuditLog');
+const { escapeRegex } = require('../utils/helpers');
+
+// Automated moderation for new and edited memes.
+//
+// moderationStatus lifecycle:
+//   pending  -> approved (passed the automated checks)
+//            -> flagged  (needs an admin: review queue)
+//   flagged  -> approved | rejected (admin decision, with a reason)
+//   approved -> flagged  (REPORT_HIDE_THRESHOLD open viewer reports)
+// Only approved memes (and memes from before moderation) are public; see
+// Meme.PUBLIC_FILTER.
+
+const MODERATION_CATEGORIES = ['nsfw', 'hate', 'violence'];
+const MODERATION_THRESHOLD = parseFloat(process.env.MODERATION_THRESHOLD ?? '0.7');
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD ?? '3');
+
+// Banned words/phrases from MODERATION_BANNED_WORDS (comma separated) and
+// MODERATION_BANNED_WORDS_FILE (one per line, # for comments)
+const loadBannedWords = () => {
+  const words = (process.env.MODERATION_BANNED_WORDS || '').split(',');
+
+  const file = process.env.MODERATION_BANNED_WORDS_FILE;
+  if (file) {
+    try {
+      words.push(...fs.readFileSync(file, 'utf8').split('\n').filter(line => !line.trim().startsWith('#')));
+    } catch (error) {
+      console.error(`Failed to read MODERATION_BANNED_WORDS_FILE ${file}:`, error.message);
+    }
+  }
+
+  return [...new Set(words.map(word => word.trim().toLowerCase()).filter(word => word.length > 0))];
+};
+
+const BANNED_WORDS = loadBannedWords();
+
+// Whole words only, so "class" doesn't match a banned "ass"
+const bannedPattern = BANNED_WORDS.length > 0
+  ? new RegExp(`(?:^|[^a-z0-9])(${BANNED_WORDS.map(escapeRegex).join('|')})(?=$|[^a-z0-9])`, 'gi')
+  : null;
+
+// Banned words found in any of `texts`
+const findBannedWords = (texts) => {
+  if (!bannedPattern) return [];
+
+  const found = new Set();
+  texts
+    .filter(text => typeof text === 'string')
+    .forEach(text => {
+      for (const match of text.matchAll(bannedPattern)) {
+        found.add(match[1].toLowerCase());
+      }
+    });
+  return [...found];
+};
+
+// Banned-word check for a meme's text. Returns the reasons it should be flagged.
+const checkText = ({ title, description, tags = [] }) => {
+  const words = findBannedWords([title, description, ...tags.map(tag => tag.replace(/[-_]/g, ' '))]);
+  return words.length > 0 ? [`Banned words: ${words.join(', ')}`] : [];
+};
+
+// Full automated check: AI image classification plus the banned-word lists.
+// Provider errors propagate so the enrichment job retries.
+// Returns { status: 'approved' | 'flagged', scores, reasons }.
+const moderateMeme = async ({ imageBase64, mimeType, title, description, tags }) => {
+  const classification = await aiService.moderateImage(imageBase64, mimeType);
+
+  const scores = {};
+  const reasons = [];
+  MODERATION_CATEGORIES.forEach(category => {
+    scores[category] = classification[category];
+    if (classification[category] >= MODERATION_THRESHOLD) {
+      reasons.push(`Likely ${category} content (${classification[category]})${classification.reason ? `: ${classification.reason}` : ''}`);
+    }
+  });
+
+  reasons.push(...checkText({ title, description, tags }));
+
+  return {
+    status: reasons.length > 0 ? 'flagged' : 'approved',
+    scores,
+    reasons
+  };
+};
+
+// Hide a public meme once it has `openReports` open reports. Only memes that
+// are currently public are touched, so concurrent reports hide it once.
+// Returns true when this call hid the meme.
+const hideReportedMeme = async (memeId, openReports) => {
+  if (openReports < REPORT_HIDE_THRESHOLD) return false;
+
+  const memes = await Meme.getCollection();
+  const now = new Date();
+  const result = await memes.findOneAndUpdate(
+    { _id: memeId, ...Meme.PUBLIC_FILTER },
+    {
+      $set: {
+        moderationStatus: 'flagged',
+        'moderation.hiddenByReports': true,
+        'moderation.checkedAt': now,
+        updatedAt: now
+      },
+      $push: { 'moderation.reasons': `Reported by ${openReports} users` }
+    },
+    { projection: { templateId: 1 } }
+  );
+
+  if (!result.value) return false;
+  await Template.refreshMemeCount(result.value.templateId);
+
+  await AuditLog.record({
+    memeId,
+    action: 'auto-hide',
+    reason: `Reached ${REPORT_HIDE_THRESHOLD} open reports`,
+    details: { openReports }
+  });
+  return true;
+};
+
+module.exports = {
+  MODERATION_CATEGORIES,
+  MODERATION_THRESHOLD,
+  REPORT_HIDE_THRESHOLD,
+  BANNED_WORDS,
+  findBannedWords,
+  checkText,
+  moderateMeme,
+  hideReportedMeme
+};
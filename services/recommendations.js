@@ -0,0 +1,196 @@
+const Meme = require('../models/Meme');
+const Event = require('../models/Event');
+const { calculatePopularityScore } = require('../utils/helpers');
+
+// "Memes you might like", from the user's interaction events:
+//   tag affinity    - tags of memes the user interacted with, weighted by how
+//                     strong the interaction was (a favorite beats a view)
+//   co-interaction  - memes upvoted/favorited by people who upvoted/favorited
+//                     the same memes as the user
+// Memes the user already interacted with, and their own memes, are left out.
+// Users without history (and anonymous users) get popular memes, ranked by
+// calculatePopularityScore.
+
+const INTERACTION_WEIGHTS = { view: 1, download: 2, upvote: 3, favorite: 4 };
+// Interactions that mean the user liked a meme
+const POSITIVE_TYPES = ['upvote', 'favorite'];
+
+const HISTORY_LIMIT = 300;
+const MAX_NEIGHBOURS = 500;
+const CANDIDATE_LIMIT = 200;
+const TOP_TAGS = 10;
+
+const SCORE_WEIGHTS = { tags: 0.5, coInteraction: 0.4, popularity: 0.1 };
+
+const popularityOf = (meme) => calculatePopularityScore(meme.upvotes || 0, meme.downloads || 0, meme.createdAt);
+
+// Popular public memes, best first, skipping `excludeIds`
+const recommendPopular = async (limit, { excludeIds = [], excludeUploader = null } = {}) => {
+  const memes = await Meme.getCollection();
+  const query = { ...Meme.PUBLIC_FILTER, _id: { $nin: excludeIds } };
+  if (excludeUploader) {
+    query.uploadedBy = { $ne: excludeUploader };
+  }
+
+  // The score mixes votes and age, so draw candidates from both ends
+  const [mostUpvoted, newest] = await Promise.all([
+    memes.find(query).sort({ upvotes: -1 }).limit(CANDIDATE_LIMIT).toArray(),
+    memes.find(query).sort({ createdAt: -1 }).limit(CANDIDATE_LIMIT).toArray()
+  ]);
+
+  const candidates = new Map([...mostUpvoted, ...newest].map(meme => [String(meme._id), meme]));
+
+  return [...candidates.values()]
+    .map(meme => ({ meme, score: popularityOf(meme), reasons: { popular: true } }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Weighted tag counts over the user's history, scaled so the top tag is 1.
+// Repeating an interaction (viewing a meme ten times) counts once.
+const buildTagAffinity = (history, memesById) => {
+  const affinity = new Map();
+  const counted = new Set();
+  history.forEach(event => {
+    const meme = memesById.get(String(event.memeId));
+    const key = `${event.memeId}:${event.type}`;
+    if (!meme || counted.has(key)) return;
+    counted.add(key);
+    (meme.tags || []).forEach(tag => {
+      affinity.set(tag, (affinity.get(tag) || 0) + INTERACTION_WEIGHTS[event.type]);
+    });
+  });
+
+  const max = Math.max(0, ...affinity.values());
+  affinity.forEach((value, tag) => affinity.set(tag, value / max));
+  return affinity;
+};
+
+// Memes liked by users who liked the same memes, with how many such users
+// liked each: { ids: [ObjectId], counts: Map of id string -> count }
+const findCoInteractions = async (userId, likedIds, interactedIds) => {
+  const none = { ids: [], counts: new Map() };
+  if (likedIds.length === 0) return none;
+
+  const events = await Event.getCollection();
+  const neighbours = (await events.distinct('userId', {
+    memeId: { $in: likedIds },
+    type: { $in: POSITIVE_TYPES },
+    userId: { $nin: [null, userId] }
+  })).slice(0, MAX_NEIGHBOURS);
+
+  if (neighbours.length === 0) return none;
+
+  const results = await events.aggregate([
+    {
+      $match: {
+        userId: { $in: neighbours },
+        type: { $in: POSITIVE_TYPES },
+        memeId: { $nin: interactedIds }
+      }
+    },
+    { $group: { _id: '$memeId', users: { $addToSet: '$userId' } } },
+    { $project: { count: { $size: '$users' } } },
+    { $sort: { count: -1 } },
+    { $limit: CANDIDATE_LIMIT }
+  ]).toArray();
+
+  return {
+    ids: results.map(result => result._id),
+    counts: new Map(results.map(result => [String(result._id), result.count]))
+  };
+};
+
+// Recommendations for `user` (or anonymous when null).
+// Returns { strategy: 'personalized' | 'popular', items: [{ meme, score, reasons }] }.
+const recommend = async (user, { limit = 20 } = {}) => {
+  if (!user) {
+    return { strategy: 'popular', items: await recommendPopular(limit) };
+  }
+
+  const events = await Event.getCollection();
+  const history = await events.find({ userId: user._id })
+    .sort({ createdAt: -1 })
+    .limit(HISTORY_LIMIT)
+    .toArray();
+
+  if (history.length === 0) {
+    return { strategy: 'popular', items: await recommendPopular(limit, { excludeUploader: user._id }) };
+  }
+
+  const memes = await Meme.getCollection();
+  const interactedIds = [...new Map(history.map(event => [String(event.memeId), event.memeId])).values()];
+  const likedIds = [...new Map(
+    history.filter(event => POSITIVE_TYPES.includes(event.type)).map(event => [String(event.memeId), event.memeId])
+  ).values()];
+
+  const historyMemes = await memes.find({ _id: { $in: interactedIds } }, { projection: { tags: 1 } }).toArray();
+  const affinity = buildTagAffinity(history, new Map(historyMemes.map(meme => [String(meme._id), meme])));
+  const topTags = [...affinity.entries()].sort((a, b) => b[1] - a[1]).slice(0, TOP_TAGS).map(([tag]) => tag);
+
+  const coInteractions = await findCoInteractions(user._id, likedIds, interactedIds);
+
+  const candidateFilter = {
+    ...Meme.PUBLIC_FILTER,
+    _id: { $nin: interactedIds },
+    uploadedBy: { $ne: user._id }
+  };
+
+  const [tagCandidates, coCandidates] = await Promise.all([
+    topTags.length > 0
+      ? memes.find({ ...candidateFilter, tags: { $in: topTags } }).sort({ createdAt: -1 }).limit(CANDIDATE_LIMIT).toArray()
+      : [],
+    coInteractions.ids.length > 0
+      ? memes.find({ ...candidateFilter, _id: { $in: coInteractions.ids } }).toArray()
+      : []
+  ]);
+
+  const candidates = [...new Map([...tagCandidates, ...coCandidates].map(meme => [String(meme._id), meme])).values()];
+
+  const scored = candidates.map(meme => {
+    const matchedTags = (meme.tags || []).filter(tag => affinity.has(tag));
+    return {
+      meme,
+      tagScore: matchedTags.reduce((total, tag) => total + affinity.get(tag), 0),
+      coScore: coInteractions.counts.get(String(meme._id)) || 0,
+      popularity: popularityOf(meme),
+      matchedTags
+    };
+  });
+
+  // Scale each signal to 0-1 across the candidates before mixing them
+  const maxOf = (key) => Math.max(0, ...scored.map(item => item[key])) || 1;
+  const maxTag = maxOf('tagScore');
+  const maxCo = maxOf('coScore');
+  const maxPopularity = maxOf('popularity');
+
+  const items = scored
+    .map(item => ({
+      meme: item.meme,
+      score: SCORE_WEIGHTS.tags * (item.tagScore / maxTag) +
+        SCORE_WEIGHTS.coInteraction * (item.coScore / maxCo) +
+        SCORE_WEIGHTS.popularity * (item.popularity / maxPopularity),
+      reasons: {
+        tags: item.matchedTags.sort((a, b) => affinity.get(b) - affinity.get(a)).slice(0, 3),
+        similarUsers: item.coScore
+      }
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  // Not enough signal yet: top up with popular memes
+  if (items.length < limit) {
+    const popular = await recommendPopular(limit - items.length, {
+      excludeIds: [...interactedIds, ...items.map(item => item.meme._id)],
+      excludeUploader: user._id
+    });
+    items.push(...popular.map(item => ({ ...item, score: 0 })));
+  }
+
+  return { strategy: 'personalized', items };
+};
+
+module.exports = {
+  INTERACTION_WEIGHTS,
+  recommend
+};
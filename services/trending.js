@@ -0,0 +1,277 @@
+const Meme = require('../models/Meme');
+const Event = require('../models/Event');
+const Trending = require('../models/Trending');
+
+// Trending memes and tags, computed from the interaction events of a time
+// window rather than lifetime counters:
+//   activity - each event is weighted by type and decays exponentially with
+//              age (half-life depends on the window), so fresh activity counts
+//              for more than activity from the start of the window
+//   velocity - weighted activity in the last quarter of the window relative to
+//              the window's average; above 1 means the meme is picking up
+//              speed, and it is boosted, below 1 it is slowing down and damped
+// Rankings are expensive, so they are precomputed for every window by the
+// refresh-trending job and read from the trending_rankings collection.
+// A window without any events yet (e.g. right after deploying, before events
+// were recorded) falls back to the lifetime-counter score of recent memes.
+
+const MINUTE_MS = 1000 * 60;
+const HOUR_MS = MINUTE_MS * 60;
+const DAY_MS = HOUR_MS * 24;
+
+const TRENDING_WINDOWS = {
+  hour: { duration: HOUR_MS, halfLife: 15 * MINUTE_MS, halfLifeLabel: '15 minutes', label: 'Last hour' },
+  day: { duration: DAY_MS, halfLife: 6 * HOUR_MS, halfLifeLabel: '6 hours', label: 'Last 24 hours' },
+  week: { duration: 7 * DAY_MS, halfLife: 2 * DAY_MS, halfLifeLabel: '2 days', label: 'Last 7 days' },
+  month: { duration: 30 * DAY_MS, halfLife: 7 * DAY_MS, halfLifeLabel: '7 days', label: 'Last 30 days' }
+};
+const DEFAULT_WINDOW = 'day';
+
+const EVENT_WEIGHTS = { view: 0.2, download: 1, upvote: 2, favorite: 3 };
+
+// Velocity 1 (steady) leaves the score alone; the boost is capped at 2.5x
+// for accelerating memes and 0.75x for slowing ones
+const VELOCITY_WEIGHT = 0.5;
+const MIN_VELOCITY_EFFECT = -0.5;
+const MAX_VELOCITY_EFFECT = 3;
+
+const MEME_RANKING_SIZE = 500;
+const TAG_RANKING_SIZE = 100;
+const LIFETIME_FALLBACK_DAYS = 30;
+
+const TRENDING_REFRESH_MINUTES = parseFloat(process.env.TRENDING_REFRESH_MINUTES ?? '5');
+// Rankings older than this get a background refresh on read, in case no worker is running
+const MAX_RANKING_AGE_MS = TRENDING_REFRESH_MINUTES * MINUTE_MS * 3;
+
+const isValidWindow = (window) => Object.prototype.hasOwnProperty.call(TRENDING_WINDOWS, window);
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const velocityOf = (recent, total) => (total > 0 ? (recent * 4) / total : 0);
+
+const boostOf = (velocity) => {
+  const effect = Math.min(MAX_VELOCITY_EFFECT, Math.max(MIN_VELOCITY_EFFECT, velocity - 1));
+  return 1 + VELOCITY_WEIGHT * effect;
+};
+
+const countOf = (type) => ({ $sum: { $cond: [{ $eq: ['$type', type] }, 1, 0] } });
+
+// Per-meme activity in the window, for public memes only
+const aggregateActivity = async (window, now) => {
+  const { duration, halfLife } = TRENDING_WINDOWS[window];
+  const since = new Date(now.getTime() - duration);
+  const recentSince = new Date(now.getTime() - duration / 4);
+
+  const weight = {
+    $switch: {
+      branches: Object.entries(EVENT_WEIGHTS).map(([type, value]) => ({ case: { $eq: ['$type', type] }, then: value })),
+      default: 0
+    }
+  };
+  const decay = { $pow: [0.5, { $divide: [{ $subtract: [now, '$createdAt'] }, halfLife] }] };
+  const publicMeme = Object.fromEntries(
+    Object.entries(Meme.PUBLIC_FILTER).map(([field, condition]) => [`meme.${field}`, condition])
+  );
+
+  const events = await Event.getCollection();
+  return events.aggregate([
+    { $match: { createdAt: { $gte: since, $lte: now } } },
+    {
+      $group: {
+        _id: '$memeId',
+        decayed: { $sum: { $multiply: [weight, decay] } },
+        total: { $sum: weight },
+        recent: { $sum: { $cond: [{ $gte: ['$createdAt', recentSince] }, weight, 0] } },
+        views: countOf('view'),
+        upvotes: countOf('upvote'),
+        downloads: countOf('download'),
+        favorites: countOf('favorite')
+      }
+    },
+    { $lookup: { from: 'memes', localField: '_id', foreignField: '_id', as: 'meme' } },
+    { $unwind: '$meme' },
+    { $match: publicMeme },
+    {
+      $project: {
+        decayed: 1,
+        total: 1,
+        recent: 1,
+        views: 1,
+        upvotes: 1,
+        downloads: 1,
+        favorites: 1,
+        tags: '$meme.tags'
+      }
+    }
+  ]).toArray();
+};
+
+// Rank memes and tags from per-meme activity. Returns { memes, tags }.
+const rankActivity = (activity) => {
+  const memes = activity
+    .map(item => {
+      const velocity = velocityOf(item.recent, item.total);
+      return {
+        memeId: item._id,
+        score: round(item.decayed * boostOf(velocity), 3),
+        velocity: round(velocity, 2),
+        activity: {
+          views: item.views,
+          upvotes: item.upvotes,
+          downloads: item.downloads,
+          favorites: item.favorites
+        }
+      };
+    })
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  // A tag's activity is the sum of its memes' activity
+  const tagTotals = new Map();
+  activity.forEach(item => {
+    (item.tags || []).forEach(tag => {
+      const totals = tagTotals.get(tag) || { decayed: 0, total: 0, recent: 0, memes: 0 };
+      totals.decayed += item.decayed;
+      totals.total += item.total;
+      totals.recent += item.recent;
+      totals.memes += 1;
+      tagTotals.set(tag, totals);
+    });
+  });
+
+  const tags = [...tagTotals.entries()]
+    .map(([tag, totals]) => {
+      const velocity = velocityOf(totals.recent, totals.total);
+      return {
+        tag,
+        score: round(totals.decayed * boostOf(velocity), 3),
+        velocity: round(velocity, 2),
+        memeCount: totals.memes
+      };
+    })
+    .filter(item => item.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    memes: memes.slice(0, MEME_RANKING_SIZE),
+    tags: tags.slice(0, TAG_RANKING_SIZE)
+  };
+};
+
+// Public memes of the last LIFETIME_FALLBACK_DAYS scored from their lifetime
+// counters, (upvotes * 2 + downloads) / (days since upload + 1), ranked like
+// event activity. Velocity and activity are unknown.
+const rankLifetime = async (now) => {
+  const memes = await Meme.getCollection();
+  const ranked = await memes.aggregate([
+    {
+      $match: {
+        ...Meme.PUBLIC_FILTER,
+        createdAt: { $gte: new Date(now.getTime() - LIFETIME_FALLBACK_DAYS * DAY_MS) }
+      }
+    },
+    {
+      $project: {
+        tags: 1,
+        score: {
+          $divide: [
+            { $add: [{ $multiply: [{ $ifNull: ['$upvotes', 0] }, 2] }, { $ifNull: ['$downloads', 0] }] },
+            { $add: [{ $divide: [{ $subtract: [now, '$createdAt'] }, DAY_MS] }, 1] }
+          ]
+        }
+      }
+    },
+    { $match: { score: { $gt: 0 } } },
+    { $sort: { score: -1 } },
+    { $limit: MEME_RANKING_SIZE }
+  ]).toArray();
+
+  const tagScores = new Map();
+  ranked.forEach(meme => {
+    (meme.tags || []).forEach(tag => {
+      const totals = tagScores.get(tag) || { score: 0, memes: 0 };
+      totals.score += meme.score;
+      totals.memes += 1;
+      tagScores.set(tag, totals);
+    });
+  });
+
+  return {
+    memes: ranked.map(meme => ({ memeId: meme._id, score: round(meme.score, 3), velocity: null, activity: null })),
+    tags: [...tagScores.entries()]
+      .map(([tag, totals]) => ({ tag, score: round(totals.score, 3), velocity: null, memeCount: totals.memes }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, TAG_RANKING_SIZE)
+  };
+};
+
+// Recompute and store the ranking for one window
+const refreshWindow = async (window, now = new Date()) => {
+  const activity = await aggregateActivity(window, now);
+  if (activity.length === 0) {
+    return Trending.saveRanking(window, { ...(await rankLifetime(now)), source: 'lifetime' }, now);
+  }
+  return Trending.saveRanking(window, { ...rankActivity(activity), source: 'events' }, now);
+};
+
+// One refresh per window at a time in this process; concurrent callers share it
+const refreshesInFlight = new Map();
+const refreshOnce = (window) => {
+  if (!refreshesInFlight.has(window)) {
+    const refresh = refreshWindow(window).finally(() => refreshesInFlight.delete(window));
+    refreshesInFlight.set(window, refresh);
+  }
+  return refreshesInFlight.get(window);
+};
+
+const refreshAll = async () => {
+  const rankings = {};
+  for (const window of Object.keys(TRENDING_WINDOWS)) {
+    rankings[window] = await refreshOnce(window);
+  }
+  return rankings;
+};
+
+// Stored ranking for `window`. Only a missing ranking is computed while the
+// caller waits; a stale one is served as is and refreshed in the background.
+const getRanking = async (window) => {
+  const ranking = await Trending.findRanking(window);
+  if (!ranking) {
+    return refreshOnce(window);
+  }
+  if (Date.now() - ranking.computedAt.getTime() > MAX_RANKING_AGE_MS) {
+    refreshOnce(window).catch(error => console.error(`Failed to refresh ${window} trending ranking:`, error));
+  }
+  return ranking;
+};
+
+// How a stored ranking was computed, for API metadata
+const describeRanking = (window, ranking) => {
+  const { label, halfLifeLabel } = TRENDING_WINDOWS[window];
+  if (ranking.source === 'lifetime') {
+    return {
+      source: 'lifetime',
+      calculationPeriod: `Last ${LIFETIME_FALLBACK_DAYS} days (no activity recorded for ${label.toLowerCase()} yet)`,
+      algorithm: 'Score = (upvotes * 2 + downloads) / (days_since_creation + 1)'
+    };
+  }
+  const weights = Object.entries(EVENT_WEIGHTS).map(([type, weight]) => `${type} ${weight}`).join(', ');
+  return {
+    source: 'events',
+    calculationPeriod: label,
+    algorithm: `Score = sum of event weights (${weights}) decayed with a half-life of ${halfLifeLabel}, boosted by velocity`
+  };
+};
+
+module.exports = {
+  TRENDING_WINDOWS,
+  DEFAULT_WINDOW,
+  EVENT_WEIGHTS,
+  TRENDING_REFRESH_MINUTES,
+  isValidWindow,
+  rankActivity,
+  describeRanking,
+  refreshWindow,
+  refreshAll,
+  getRanking
+};
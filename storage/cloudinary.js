@@ -0,0 +1,71 @@
+const cloudinary = require('../config/cloudinary');
+
+// Cloudinary storage driver
+const name = 'cloudinary';
+
+const put = (buffer, { folder = 'neon-meme-marketplace', resourceType = 'image' } = {}) => {
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_stream(
+      {
+        resource_type: resourceType,
+        folder: folder,
+        quality: 'auto',
+        fetch_format: 'auto'
+      },
+      (error, result) => {
+        if (error) return reject(error);
+        resolve({
+          id: result.public_id,
+          url: result.secure_url,
+          width: result.width,
+          height: result.height,
+          format: result.format,
+          bytes: result.bytes
+        });
+      }
+    ).end(buffer);
+  });
+};
+
+const remove = async (id, { resourceType = 'image' } = {}) => {
+  const result = await cloudinary.uploader.destroy(id, { resource_type: resourceType });
+  if (!['ok', 'not found'].includes(result.result)) {
+    throw new Error(`Cloudinary delete failed: ${result.result}`);
+  }
+};
+
+const publicUrl = (id, { resourceType = 'image' } = {}) => {
+  return cloudinary.url(id, { secure: true, resource_type: resourceType });
+};
+
+// Cloudinary applies transformations on its CDN, encoded in the URL
+const transformedUrl = (id, { width, height, crop = 'limit', format, quality = 'auto', blur, resourceType = 'image' } = {}) => {
+  const transformation = { crop, quality };
+  if (width) transformation.width = width;
+  if (height) transformation.height = height;
+  if (blur) transformation.effect = `blur:${blur}`;
+
+  return cloudinary.url(id, {
+    secure: true,
+    resource_type: resourceType,
+    format: format,
+    transformation: [transformation]
+  });
+};
+
+const get = async (id, options) => {
+  const response = await fetch(publicUrl(id, options));
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${id} from Cloudinary (${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+module.exports = {
+  name,
+  put,
+  get,
+  delete: remove,
+  publicUrl,
+  transformedUrl
+};
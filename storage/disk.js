@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const sharp = require('sharp');
+
+// Local filesystem storage driver. Files are written under STORAGE_DIR and
+// served by the Express app at /media. Transformed URLs are limited to the
+// rendition presets; each one is rendered once and cached on disk.
+const name = 'local';
+
+const ROOT = path.resolve(process.env.STORAGE_DIR || 'uploads');
+const MOUNT_PATH = '/media';
+// Rendered presets, outside ROOT so they can't be requested as stored files
+const CACHE_DIR = path.resolve(process.env.STORAGE_CACHE_DIR || path.join(ROOT, '..', `${path.basename(ROOT)}-cache`));
+
+const baseUrl = () => {
+  return (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+};
+
+// Resolve a storage id to a path, refusing anything outside ROOT
+const resolvePath = (id) => {
+  const filePath = path.resolve(ROOT, id);
+  if (!filePath.startsWith(ROOT + path.sep)) {
+    throw new Error('Invalid storage id');
+  }
+  return filePath;
+};
+
+const put = async (buffer, { folder = 'neon-meme-marketplace', resourceType = 'image', format: videoFormat } = {}) => {
+  // Videos are stored as-is; their dimensions come from utils/media.js
+  const metadata = resourceType === 'video'
+    ? { format: videoFormat }
+    : await sharp(buffer, { animated: true }).metadata();
+  const format = metadata.format === 'jpeg' ? 'jpg' : metadata.format;
+  const id = path.posix.join(folder, `${crypto.randomUUID()}.${format}`);
+
+  const filePath = resolvePath(id);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+
+  return {
+    id: id,
+    url: publicUrl(id),
+    width: metadata.width,
+    height: metadata.pageHeight || metadata.height,
+    format: format,
+    bytes: buffer.length
+  };
+};
+
+const get = async (id) => {
+  return fs.readFile(resolvePath(id));
+};
+
+const hashOf = (value) => crypto.createHash('sha1').update(value).digest('hex');
+
+// Cached renditions of a stored file live in one folder per file
+const cacheFolder = (id) => path.join(CACHE_DIR, hashOf(id));
+
+const remove = async (id) => {
+  try {
+    await fs.unlink(resolvePath(id));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  await fs.rm(cacheFolder(id), { recursive: true, force: true });
+};
+
+const publicUrl = (id) => {
+  return `${baseUrl()}${MOUNT_PATH}/${id}`;
+};
+
+// Query string for a transformation, in a fixed parameter order
+const transformQuery = ({ width, height, crop = 'limit', format, quality, blur } = {}) => {
+  const params = new URLSearchParams();
+  if (width) params.set('w', width);
+  if (height) params.set('h', height);
+  if (crop && crop !== 'limit') params.set('crop', crop);
+  if (format) params.set('format', format);
+  if (quality && quality !== 'auto') params.set('q', quality);
+  if (blur) params.set('blur', blur);
+  return params.toString();
+};
+
+const transformedUrl = (id, options) => {
+  const query = transformQuery(options);
+  return query ? `${publicUrl(id)}?${query}` : publicUrl(id);
+};
+
+// Queries of the rendition presets, the only transformations served. Loaded
+// lazily: utils/renditions.js needs the storage index, which loads this driver.
+let presetQueries;
+const getPresetQueries = () => {
+  if (!presetQueries) {
+    const { RENDITIONS } = require('../utils/renditions');
+    presetQueries = new Set(Object.values(RENDITIONS).map(transformQuery));
+  }
+  return presetQueries;
+};
+
+const OUTPUT_FORMATS = ['jpeg', 'jpg', 'png', 'webp', 'avif', 'gif'];
+
+// Parse a requested width/height, capped to keep resizing cheap
+const toDimension = (value) => {
+  const number = parseInt(value);
+  return number > 0 ? Math.min(4000, number) : undefined;
+};
+
+const sendFile = (res, filePath) => new Promise((resolve, reject) => {
+  res.sendFile(filePath, (error) => (error ? reject(error) : resolve()));
+});
+
+// Render a preset of the file at `filePath` and cache it at `cachePath`
+const renderPreset = async (filePath, cachePath, { w, h, crop, format, q, blur }) => {
+  // Loaded lazily like the presets; utils/media.js depends on the storage index too
+  const { MAX_PIXELS } = require('../utils/media');
+  let image = sharp(await fs.readFile(filePath), { limitInputPixels: MAX_PIXELS }).rotate();
+  if (w || h) {
+    image = image.resize(toDimension(w), toDimension(h), {
+      fit: crop === 'fill' ? 'cover' : 'inside',
+      withoutEnlargement: crop !== 'fill'
+    });
+  }
+  if (blur) {
+    image = image.blur(Math.min(100, Math.max(0.3, parseFloat(blur) || 10)));
+  }
+
+  const outputFormat = format === 'jpg' ? 'jpeg' : format;
+  if (outputFormat) {
+    image = image.toFormat(outputFormat, q ? { quality: Math.min(100, Math.max(1, parseInt(q) || 80)) } : {});
+  }
+
+  const rendered = await image.toBuffer({ resolveWithObject: true });
+
+  // Write then rename, so a concurrent request never reads a partial file
+  await fs.mkdir(path.dirname(cachePath), { recursive: true });
+  const tempPath = `${cachePath}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, rendered.data);
+  await fs.rename(tempPath, cachePath);
+
+  return rendered;
+};
+
+// One render per cache entry at a time; concurrent misses share it
+const rendersInFlight = new Map();
+const renderOnce = (cachePath, render) => {
+  if (!rendersInFlight.has(cachePath)) {
+    rendersInFlight.set(cachePath, render().finally(() => rendersInFlight.delete(cachePath)));
+  }
+  return rendersInFlight.get(cachePath);
+};
+
+// Serves stored files, applying a rendition preset's ?w=&h=&crop=&format=&q=&blur=
+// when present
+const router = express.Router();
+
+router.get('/*', async (req, res) => {
+  try {
+    const id = req.params[0];
+    const filePath = resolvePath(id);
+    const { w, h, crop, format, q, blur } = req.query;
+
+    // Images are embedded by the frontend on another origin
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+
+    if (!w && !h && !format && !blur) {
+      return res.sendFile(filePath, (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ success: false, message: 'File not found' });
+        }
+      });
+    }
+
+    if (format && !OUTPUT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format. Use one of: ${OUTPUT_FORMATS.join(', ')}`
+      });
+    }
+
+    const query = transformQuery({ width: w, height: h, crop, format, quality: q, blur });
+    if (!getPresetQueries().has(query)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported transformation. Only the rendition presets are available.'
+      });
+    }
+
+    const extension = path.extname(filePath).slice(1);
+    const cachePath = path.join(cacheFolder(id), `${hashOf(query)}.${format || extension}`);
+    try {
+      res.type(format || extension);
+      return await sendFile(res, cachePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT' || res.headersSent) throw error;
+    }
+
+    const { data, info } = await renderOnce(cachePath, () => renderPreset(filePath, cachePath, { w, h, crop, format, q, blur }));
+    res.type(info.format).send(data);
+
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.message === 'Invalid storage id') {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+    console.error('Media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to serve file',
+      error: error.message
+    });
+  }
+});
+
+module.exports = {
+  name,
+  put,
+  get,
+  delete: remove,
+  publicUrl,
+  transformedUrl,
+  router,
+  mountPath: MOUNT_PATH
+};
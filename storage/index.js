@@ -0,0 +1,61 @@
+// Storage backend selection.
+//
+// Every driver implements:
+//   put(buffer, { folder, resourceType, format }) -> Promise<{ id, url, width, height, format, bytes }>
+//   get(id, { resourceType })             -> Promise<Buffer>
+//   delete(id, { resourceType })          -> Promise<void>
+//   publicUrl(id, { resourceType })       -> string
+//   transformedUrl(id, { width, height, crop, format, quality, blur }) -> string
+//
+// resourceType is "image" (default) or "video"; put() needs `format` for videos.
+//
+// STORAGE_DRIVER picks the driver for new uploads: "cloudinary" (default) or
+// "local". Existing memes remember the driver they were stored with, so they
+// keep working after a switch.
+
+const drivers = {
+  cloudinary: () => require('./cloudinary'),
+  local: () => require('./disk')
+};
+
+const getDriver = (name) => {
+  const loadDriver = drivers[name];
+  if (!loadDriver) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  return loadDriver();
+};
+
+const storage = getDriver((process.env.STORAGE_DRIVER || 'cloudinary').toLowerCase());
+
+// Driver and id a meme's image was stored with (memes from before storage
+// drivers only have cloudinary_id)
+const getMemeStorage = (meme) => {
+  if (meme.storage && meme.storage.id) {
+    return {
+      driver: getDriver(meme.storage.driver),
+      id: meme.storage.id,
+      resourceType: meme.storage.resourceType || 'image'
+    };
+  }
+  if (meme.cloudinary_id) {
+    return { driver: getDriver('cloudinary'), id: meme.cloudinary_id, resourceType: 'image' };
+  }
+  return null;
+};
+
+// Still image for a meme: the stored poster frame of GIF/video memes, or the
+// image itself
+const getPosterStorage = (meme) => {
+  if (meme.posterStorage && meme.posterStorage.id) {
+    return { driver: getDriver(meme.posterStorage.driver), id: meme.posterStorage.id, resourceType: 'image' };
+  }
+  return getMemeStorage(meme);
+};
+
+module.exports = {
+  storage,
+  getDriver,
+  getMemeStorage,
+  getPosterStorage
+};
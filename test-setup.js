@@ -12,11 +12,14 @@ async function testConnection() {
     console.log('\n🔍 Checking environment variables...');
     const requiredVars = [
       'MONGODB_URI',
-      'CLOUDINARY_CLOUD_NAME',
-      'CLOUDINARY_API_KEY', 
-      'CLOUDINARY_API_SECRET',
-      'GEMINI_API_KEY'
+      'JWT_SECRET'
     ];
+    if ((process.env.STORAGE_DRIVER || 'cloudinary') === 'cloudinary') {
+      requiredVars.push('CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET');
+    }
+    if ((process.env.AI_PROVIDER || 'gemini') === 'gemini') {
+      requiredVars.push('GEMINI_API_KEY');
+    }
     
     const missing = requiredVars.filter(varName => !process.env[varName]);
     
@@ -29,7 +32,7 @@ async function testConnection() {
     
     console.log('\n🚀 Setup test completed!');
     console.log('💡 Run "npm run dev" to start the server');
-    console.log('🎯 All authentication has been removed - API is now public!');
+    console.log('🔐 Set AUTH_PROVIDER=local to log in without Google OAuth');
     
   } catch (error) {
     console.error('❌ MongoDB connection failed:', error.message);
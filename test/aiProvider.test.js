@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// AI_PROVIDER selection and the offline mock provider. config/ai.js picks the
+// provider when it is loaded, so each case loads a fresh copy.
+const loadProvider = (name) => {
+  const previous = process.env.AI_PROVIDER;
+  if (name === undefined) {
+    delete process.env.AI_PROVIDER;
+  } else {
+    process.env.AI_PROVIDER = name;
+  }
+
+  try {
+    delete require.cache[require.resolve('../config/ai')];
+    return require('../config/ai');
+  } finally {
+    if (previous === undefined) {
+      delete process.env.AI_PROVIDER;
+    } else {
+      process.env.AI_PROVIDER = previous;
+    }
+  }
+};
+
+const PROVIDER_METHODS = [
+  'generateMemeTags',
+  'generateMemeDescription',
+  'generateCaptions',
+  'generateMemeStorm',
+  'traceMemeEvolution',
+  'moderateImage'
+];
+
+test('AI_PROVIDER=mock selects the offline provider', () => {
+  const provider = loadProvider('mock');
+  assert.equal(provider.name, 'mock');
+  PROVIDER_METHODS.forEach(method => assert.equal(typeof provider[method], 'function', method));
+
+  // Provider names are case-insensitive
+  assert.equal(loadProvider('MOCK').name, 'mock');
+});
+
+test('Gemini is the default and loads without an API key', () => {
+  const previousKey = process.env.GEMINI_API_KEY;
+  delete process.env.GEMINI_API_KEY;
+  try {
+    const provider = loadProvider(undefined);
+    assert.equal(provider.name, 'gemini');
+    assert.equal(loadProvider('gemini').name, 'gemini');
+  } finally {
+    if (previousKey !== undefined) process.env.GEMINI_API_KEY = previousKey;
+  }
+});
+
+test('an unknown AI_PROVIDER is refused', () => {
+  assert.throws(() => loadProvider('openai'), /Unknown AI_PROVIDER "openai"/);
+});
+
+test('the mock provider is deterministic and shaped like the real one', async () => {
+  const provider = loadProvider('mock');
+  const image = Buffer.from('an image').toString('base64');
+  const other = Buffer.from('another image').toString('base64');
+
+  const tags = await provider.generateMemeTags(image, 'image/png');
+  assert.deepEqual(await provider.generateMemeTags(image, 'image/png'), tags);
+  assert.notDeepEqual(await provider.generateMemeTags(other, 'image/png'), tags);
+  assert.ok(tags.length > 0 && tags.every(tag => /^[a-z0-9_-]+$/.test(tag)));
+
+  const description = await provider.generateMemeDescription(image);
+  assert.equal(typeof description, 'string');
+  assert.equal(await provider.generateMemeDescription(image), description);
+
+  const captions = await provider.generateCaptions(image);
+  assert.ok(captions.length > 0 && captions.every(caption => typeof caption === 'string'));
+
+  const storm = await provider.generateMemeStorm('cats in space');
+  assert.ok(storm.length > 0);
+  storm.forEach(concept => {
+    assert.equal(typeof concept['image-description'], 'string');
+    assert.equal(typeof concept.caption, 'string');
+  });
+
+  const evolution = await provider.traceMemeEvolution(image);
+  ['origin', 'timeline', 'popularity', 'variations', 'cultural_impact'].forEach(key => assert.ok(key in evolution, key));
+  evolution.timeline.forEach(event => assert.ok(['low', 'medium', 'high'].includes(event.impact)));
+
+  // Low scores, so mock uploads pass moderation
+  const scores = await provider.moderateImage(image);
+  ['nsfw', 'hate', 'violence'].forEach(category => {
+    assert.ok(scores[category] >= 0 && scores[category] < 0.7, category);
+  });
+});
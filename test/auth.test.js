@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+// The offline login stand-in and JWT issuance, end to end through the auth
+// routes, with the users collection mocked out
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/test';
+process.env.AUTH_PROVIDER = 'local';
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.FRONTEND_URL = 'http://frontend.test';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const passport = require('../config/passport');
+const User = require('../models/User');
+const authRoutes = require('../routes/auth');
+
+const startServer = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(passport.initialize());
+  app.use('/api/auth', authRoutes);
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+};
+
+// Users stored in memory, keyed by provider id
+const mockUsers = (t) => {
+  const users = new Map();
+  t.mock.method(User, 'findOrCreateFromProfile', async (provider, profile) => {
+    const key = `${provider}:${profile.id}`;
+    if (!users.has(key)) {
+      users.set(key, {
+        _id: new ObjectId(),
+        [`${provider}Id`]: profile.id,
+        email: profile.emails[0].value.toLowerCase(),
+        name: profile.displayName,
+        avatar: profile.photos[0] ? profile.photos[0].value : null,
+        role: 'user'
+      });
+    }
+    return users.get(key);
+  });
+  t.mock.method(User, 'findById', async (id) => {
+    return [...users.values()].find(user => String(user._id) === String(id)) || null;
+  });
+  return users;
+};
+
+// Walk the login redirects and return the token handed to the frontend
+const login = async (baseUrl, query) => {
+  const start = await fetch(`${baseUrl}/api/auth/google?${new URLSearchParams(query)}`, { redirect: 'manual' });
+  assert.equal(start.status, 302);
+  const callback = new URL(start.headers.get('location'), baseUrl);
+  assert.equal(callback.pathname, '/api/auth/google/callback');
+
+  const done = await fetch(callback, { redirect: 'manual' });
+  assert.equal(done.status, 302);
+  const success = new URL(done.headers.get('location'));
+  assert.equal(success.origin + success.pathname, 'http://frontend.test/auth/success');
+  return success.searchParams.get('token');
+};
+
+test('the local stand-in logs a user in and issues a JWT for them', async (t) => {
+  const users = mockUsers(t);
+  const { server, baseUrl } = await startServer();
+  t.after(() => server.close());
+
+  const token = await login(baseUrl, { email: 'Jane@Example.com', name: 'Jane', avatar: 'http://img.test/jane.png' });
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  const [user] = users.values();
+
+  assert.equal(users.size, 1);
+  assert.equal(user.localId, 'jane@example.com');
+  assert.equal(payload.id, String(user._id));
+  assert.equal(payload.email, 'jane@example.com');
+  assert.equal(payload.exp - payload.iat, 7 * 24 * 60 * 60);
+
+  const me = await fetch(`${baseUrl}/api/auth/user`, { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(me.status, 200);
+  const body = await me.json();
+  assert.equal(body.user.email, 'jane@example.com');
+  assert.equal(body.user.name, 'Jane');
+  assert.equal(body.user.avatar, 'http://img.test/jane.png');
+
+  // Logging in again finds the same user
+  await login(baseUrl, { email: 'jane@example.com' });
+  assert.equal(users.size, 1);
+});
+
+test('tokens are checked by /user and /verify', async (t) => {
+  mockUsers(t);
+  const { server, baseUrl } = await startServer();
+  t.after(() => server.close());
+
+  const token = await login(baseUrl, { email: 'sam@example.com' });
+
+  const verified = await fetch(`${baseUrl}/api/auth/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token })
+  });
+  assert.equal(verified.status, 200);
+  assert.equal((await verified.json()).user.name, 'sam');
+
+  const forged = jwt.sign({ id: new ObjectId().toString() }, 'another-secret');
+  const unknownUser = jwt.sign({ id: new ObjectId().toString() }, process.env.JWT_SECRET);
+  for (const bad of [forged, unknownUser, 'not-a-token']) {
+    const res = await fetch(`${baseUrl}/api/auth/user`, { headers: { Authorization: `Bearer ${bad}` } });
+    assert.equal(res.status, 401);
+  }
+
+  const missing = await fetch(`${baseUrl}/api/auth/user`);
+  assert.equal(missing.status, 401);
+});
+
+test('a tampered authorization code is refused', async (t) => {
+  mockUsers(t);
+  const { server, baseUrl } = await startServer();
+  t.after(() => server.close());
+
+  const res = await fetch(`${baseUrl}/api/auth/google/callback?code=not-json`, { redirect: 'manual' });
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get('location'), 'http://frontend.test/login');
+});
+
+test('the local stand-in is never registered in production', () => {
+  // Strategies are registered when config/passport.js loads, so check in a fresh process
+  const hasStrategy = (nodeEnv) => execFileSync(process.execPath, [
+    '-e',
+    `console.log(Boolean(require(${JSON.stringify(path.join(__dirname, '../config/passport'))})._strategy('google')))`
+  ], { env: { ...process.env, NODE_ENV: nodeEnv, AUTH_PROVIDER: 'local' }, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+
+  assert.equal(hasStrategy('production'), 'false');
+  assert.equal(hasStrategy('development'), 'true');
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+// Zip extraction for batch uploads: header checks, size limits and CRCs.
+// Archives are written by hand so each header field can be made to lie.
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/test';
+
+const { extractArchive, BATCH_MAX_FILES } = require('../services/batchUpload');
+
+// Each entry: { name, data, method = 8 (deflate), and optional overrides for
+// the central directory (`central`) or the local header (`local`) }
+const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data = Buffer.alloc(0), method = 8, central = {}, local = {} }) => {
+    const nameBuffer = Buffer.from(name);
+    const compressed = method === 8 ? zlib.deflateRawSync(data) : data;
+    const fields = { method, crc: zlib.crc32(data), compressedSize: compressed.length, size: data.length };
+    const centralFields = { ...fields, ...central };
+    const localFields = { ...fields, ...local };
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(0x04034b50, 0);
+    localHeader.writeUInt16LE(20, 4);
+    localHeader.writeUInt16LE(localFields.method, 8);
+    localHeader.writeUInt32LE(localFields.crc, 14);
+    localHeader.writeUInt32LE(localFields.compressedSize, 18);
+    localHeader.writeUInt32LE(localFields.size, 22);
+    localHeader.writeUInt16LE(nameBuffer.length, 26);
+    const localRecord = Buffer.concat([localHeader, nameBuffer, compressed]);
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(0x02014b50, 0);
+    centralHeader.writeUInt16LE(20, 4);
+    centralHeader.writeUInt16LE(20, 6);
+    centralHeader.writeUInt16LE(centralFields.method, 10);
+    centralHeader.writeUInt32LE(centralFields.crc, 16);
+    centralHeader.writeUInt32LE(centralFields.compressedSize, 20);
+    centralHeader.writeUInt32LE(centralFields.size, 24);
+    centralHeader.writeUInt16LE(nameBuffer.length, 28);
+    centralHeader.writeUInt32LE(offset, 42);
+
+    locals.push(localRecord);
+    centrals.push(Buffer.concat([centralHeader, nameBuffer]));
+    offset += localRecord.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+test('stored and deflated files are extracted, with the manifest and junk set aside', async () => {
+  const picture = Buffer.from('not really a picture, but bytes all the same '.repeat(20));
+  const { files, manifest } = await extractArchive(buildZip([
+    { name: 'stored.png', data: Buffer.from('stored bytes'), method: 0 },
+    { name: 'memes/deflated.png', data: picture },
+    { name: 'manifest.json', data: Buffer.from(JSON.stringify({ 'stored.png': { tags: ['cat'] } })) },
+    { name: '__MACOSX/._stored.png', data: Buffer.from('resource fork') },
+    { name: 'memes/.DS_Store', data: Buffer.from('junk') },
+    { name: 'memes/' }
+  ]));
+
+  assert.deepEqual(files.map(file => [file.filename, file.size]), [
+    ['stored.png', 12],
+    ['memes/deflated.png', picture.length]
+  ]);
+  assert.deepEqual(manifest, { 'stored.png': { tags: ['cat'] } });
+  assert.deepEqual(await files[0].read(), Buffer.from('stored bytes'));
+  assert.deepEqual(await files[1].read(), picture);
+});
+
+test('entries that do not declare a size are refused', async () => {
+  await assert.rejects(
+    extractArchive(buildZip([{ name: 'empty.png', data: Buffer.alloc(0) }])),
+    { message: 'empty.png does not declare its size', status: 400 }
+  );
+});
+
+test('entries whose local header disagrees with the zip directory are refused', async () => {
+  const data = Buffer.from('a meme');
+  for (const local of [{ size: 600 }, { crc: 1 }, { method: 0 }]) {
+    await assert.rejects(
+      extractArchive(buildZip([{ name: 'meme.png', data, local }])),
+      { message: 'meme.png has inconsistent headers' }
+    );
+  }
+});
+
+test('archives whose declared size is over the limit are refused before inflating', async () => {
+  const huge = 201 * 1024 * 1024;
+  await assert.rejects(
+    extractArchive(buildZip([{ name: 'big.png', data: Buffer.from('tiny'), central: { size: huge }, local: { size: huge } }])),
+    { message: 'Archive is too large once extracted', status: 413 }
+  );
+});
+
+test('inflation stops once an entry passes its declared size', async () => {
+  const bomb = Buffer.alloc(1024 * 1024);
+  const lie = { size: 100 };
+  const { files } = await extractArchive(buildZip([{ name: 'bomb.png', data: bomb, central: lie, local: lie }]));
+
+  assert.equal(files[0].size, 100);
+  await assert.rejects(files[0].read(), { message: 'bomb.png is larger than its header says' });
+});
+
+test('entries that fail their CRC check are corrupt', async () => {
+  const badCrc = { crc: 0xdeadbeef };
+  const { files } = await extractArchive(buildZip([
+    { name: 'deflated.png', data: Buffer.from('deflated bytes'), central: badCrc, local: badCrc },
+    { name: 'stored.png', data: Buffer.from('stored bytes'), method: 0, central: badCrc, local: badCrc }
+  ]));
+
+  await assert.rejects(files[0].read(), { message: 'deflated.png is corrupt' });
+  await assert.rejects(files[1].read(), { message: 'stored.png is corrupt' });
+});
+
+test('unsupported compression methods and non-zips are refused', async () => {
+  const { files } = await extractArchive(buildZip([{ name: 'bzip.png', data: Buffer.from('bytes'), method: 12 }]));
+  await assert.rejects(files[0].read(), { message: 'bzip.png uses an unsupported compression method' });
+
+  await assert.rejects(extractArchive(Buffer.from('not a zip')), { message: 'Archive is not a valid zip file' });
+});
+
+test('archives with too many files are refused', async () => {
+  const entries = Array.from({ length: BATCH_MAX_FILES + 1 }, (_, index) => ({
+    name: `${index}.png`,
+    data: Buffer.from(String(index))
+  }));
+  await assert.rejects(extractArchive(buildZip(entries)), {
+    message: `Archives may contain at most ${BATCH_MAX_FILES} files`
+  });
+});
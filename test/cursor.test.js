@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { encodeCursor, decodeCursor, buildCursorFilter } = require('../utils/helpers');
+
+// Keyset pagination cursors, as used by the comment and feed endpoints
+const TOP = { upvotes: -1, _id: -1 };
+const NEWEST = { createdAt: -1, _id: -1 };
+const REPLIES = { createdAt: 1, _id: 1 };
+
+const rawCursor = (json) => Buffer.from(json).toString('base64url');
+
+test('cursors round-trip the sort values of the last item', () => {
+  const comment = { _id: new ObjectId(), upvotes: 7, createdAt: new Date('2024-05-01T12:00:00Z'), body: 'hi' };
+
+  const top = decodeCursor(encodeCursor(comment, TOP), TOP);
+  assert.equal(top[0], 7);
+  assert.ok(top[1] instanceof ObjectId && top[1].equals(comment._id));
+
+  const newest = decodeCursor(encodeCursor(comment, NEWEST), NEWEST);
+  assert.ok(newest[0] instanceof Date);
+  assert.equal(newest[0].getTime(), comment.createdAt.getTime());
+
+  // Missing sort fields are stored as null
+  assert.deepEqual(decodeCursor(encodeCursor({ _id: comment._id }, TOP), TOP), [null, comment._id]);
+});
+
+test('cursors are opaque url-safe strings', () => {
+  const cursor = encodeCursor({ _id: new ObjectId(), upvotes: 3 }, TOP);
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+});
+
+test('cursors for another sort or of the wrong shape are refused', () => {
+  const cursor = encodeCursor({ _id: new ObjectId(), upvotes: 3 }, TOP);
+  assert.equal(decodeCursor(cursor, { _id: -1 }), null);
+
+  assert.equal(decodeCursor(undefined, TOP), null);
+  assert.equal(decodeCursor('', TOP), null);
+  assert.equal(decodeCursor(['array'], TOP), null);
+  assert.equal(decodeCursor('%%%not-base64%%%', TOP), null);
+  assert.equal(decodeCursor(rawCursor('not json'), TOP), null);
+  assert.equal(decodeCursor(rawCursor('{"upvotes": 3}'), TOP), null);
+});
+
+test('cursors holding query operators are refused', () => {
+  const id = JSON.stringify({ $oid: new ObjectId().toHexString() });
+  const injected = [
+    `[{"$gt": ""}, ${id}]`,
+    `[{"$where": "sleep(1000)"}, ${id}]`,
+    `[{"$regularExpression": {"pattern": ".*", "options": ""}}, ${id}]`,
+    `[[1, 2], ${id}]`,
+    `[true, ${id}]`,
+    `[{"$numberDouble": "Infinity"}, ${id}]`,
+    `[{"$date": "not a date"}, ${id}]`
+  ];
+
+  injected.forEach(json => assert.equal(decodeCursor(rawCursor(json), TOP), null, json));
+});
+
+test('the cursor filter matches the items after the cursor', () => {
+  const id = new ObjectId();
+  const createdAt = new Date('2024-05-01T12:00:00Z');
+
+  assert.deepEqual(buildCursorFilter([7, id], TOP), {
+    $or: [
+      { upvotes: { $lt: 7 } },
+      { upvotes: 7, _id: { $lt: id } }
+    ]
+  });
+  assert.deepEqual(buildCursorFilter([createdAt, id], REPLIES), {
+    $or: [
+      { createdAt: { $gt: createdAt } },
+      { createdAt, _id: { $gt: id } }
+    ]
+  });
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GeminiService = require('../config/gemini');
+const { AIResponseError, extractJson, validateSchema } = require('../utils/aiResponse');
+
+// Gemini's JSON parsing, repair retries and schema checks, against a fake
+// client that replays canned model output
+const createService = (t, responses) => {
+  t.mock.method(console, 'warn', () => {});
+
+  const requests = [];
+  const service = new GeminiService('test-key');
+  service.genAI = {
+    getGenerativeModel: () => ({
+      generateContent: async (request) => {
+        requests.push(request);
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return { response: Promise.resolve({ text: () => next }) };
+      }
+    })
+  };
+  return { service, requests };
+};
+
+const IMAGE = Buffer.from('image').toString('base64');
+
+test('tags are read from fenced JSON surrounded by prose and normalised', async (t) => {
+  const { service, requests } = createService(t, [
+    'Sure! Here are the tags:\n```json\n["Funny", "reaction face", "funny", "Drake!", "  "]\n```\nHope that helps.'
+  ]);
+
+  const tags = await service.generateMemeTags(IMAGE, 'image/png');
+
+  assert.deepEqual(tags, ['funny', 'reaction-face', 'drake']);
+  assert.equal(requests.length, 1);
+  assert.deepEqual(requests[0][1], { inlineData: { data: IMAGE, mimeType: 'image/png' } });
+});
+
+test('unparseable output is retried with a corrective prompt', async (t) => {
+  const broken = '["funny", "cat"';
+  const { service, requests } = createService(t, [broken, '["funny", "cat"]']);
+
+  assert.deepEqual(await service.generateMemeTags(IMAGE), ['funny', 'cat']);
+  assert.equal(requests.length, 2);
+
+  const correction = requests[1][requests[1].length - 1];
+  assert.match(correction, /could not be used: No valid JSON found/);
+  assert.ok(correction.includes(broken));
+});
+
+test('output that never matches the schema is rejected after the retries', async (t) => {
+  const outOfRange = '{"nsfw": 1.5, "hate": 0, "violence": 0}';
+  const { service, requests } = createService(t, [outOfRange, outOfRange, '{"nsfw": 0.1}']);
+
+  await assert.rejects(
+    service.moderateImage(IMAGE),
+    (error) => {
+      assert.ok(error instanceof AIResponseError);
+      assert.match(error.message, /\$\.hate is required/);
+      return true;
+    }
+  );
+  assert.equal(requests.length, 3);
+  assert.match(requests[1][requests[1].length - 1], /\$\.nsfw should be <= 1/);
+});
+
+test('provider errors are not retried', async (t) => {
+  const { service, requests } = createService(t, [new Error('quota exceeded'), '["never used"]']);
+
+  await assert.rejects(service.generateCaptions(IMAGE), /quota exceeded/);
+  assert.equal(requests.length, 1);
+});
+
+test('meme storm concepts keep only the expected keys', async (t) => {
+  const { service } = createService(t, [
+    '[{"image-description": "a cat in space", "caption": "one small step", "rating": 10}]'
+  ]);
+
+  assert.deepEqual(await service.generateMemeStorm('cats'), [
+    { 'image-description': 'a cat in space', caption: 'one small step' }
+  ]);
+});
+
+test('a missing API key fails the call, not the require', async () => {
+  const service = new GeminiService('');
+  await assert.rejects(service.generateMemeTags(IMAGE), /GEMINI_API_KEY is not set/);
+});
+
+test('extractJson finds the first complete JSON value', () => {
+  assert.deepEqual(extractJson('{"a": 1}'), { a: 1 });
+  assert.deepEqual(extractJson('The answer is {"text": "a } inside", "n": [1, 2]} as requested'), { text: 'a } inside', n: [1, 2] });
+  assert.deepEqual(extractJson('Broken {"a": } then [1, "two"]'), [1, 'two']);
+  assert.deepEqual(extractJson('```\n{"escaped": "say \\"hi\\""}\n```'), { escaped: 'say "hi"' });
+  assert.throws(() => extractJson(''), AIResponseError);
+  assert.throws(() => extractJson('no json here'), /No valid JSON found/);
+});
+
+test('validateSchema reports every problem with its path', () => {
+  const schema = {
+    type: 'object',
+    required: ['timeline', 'name'],
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 5 },
+      timeline: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['impact'],
+          properties: { impact: { type: 'string', enum: ['low', 'medium', 'high'] } }
+        }
+      }
+    }
+  };
+
+  assert.deepEqual(validateSchema({ name: 'ok', timeline: [{ impact: 'low' }] }, schema), []);
+  assert.deepEqual(validateSchema({ name: 'too long', timeline: [{ impact: 'huge' }, {}] }, schema), [
+    '$.name should have at most 5 characters',
+    '$.timeline[0].impact should be one of low, medium, high',
+    '$.timeline[1].impact is required'
+  ]);
+  assert.deepEqual(validateSchema([], schema), ['$ should be object but was array']);
+  assert.deepEqual(validateSchema({ timeline: [] }, schema), [
+    '$.name is required',
+    '$.timeline should have at least 1 items'
+  ]);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, escapeRegex } = require('../utils/helpers');
+
+// The search syntax behind GET /api/memes/search
+const EMPTY = { terms: [], phrases: [], prefixes: [], excludedTerms: [], tags: [], excludedTags: [] };
+
+test('each kind of token lands in its own group', () => {
+  assert.deepEqual(parseSearchQuery('Drake meme "Hotline Bling" dra* -cat tag:Funny -tag:NSFW'), {
+    terms: ['drake', 'meme'],
+    phrases: ['hotline bling'],
+    prefixes: ['dra'],
+    excludedTerms: ['cat'],
+    tags: ['funny'],
+    excludedTags: ['nsfw']
+  });
+});
+
+test('quoted text is a phrase only when it has several words', () => {
+  assert.deepEqual(parseSearchQuery('"  single " "" -"bad words"'), {
+    ...EMPTY,
+    terms: ['single'],
+    excludedTerms: ['bad', 'words']
+  });
+
+  // An unterminated quote is read as plain words
+  assert.deepEqual(parseSearchQuery('unterminated "quote here'), {
+    ...EMPTY,
+    terms: ['unterminated', 'quote', 'here']
+  });
+});
+
+test('single letters, bare prefixes and duplicates are dropped', () => {
+  assert.deepEqual(parseSearchQuery('a b* * - drake DRAKE tag:x tag:X'), {
+    ...EMPTY,
+    terms: ['drake'],
+    tags: ['x']
+  });
+});
+
+test('operator characters are stripped from every token', () => {
+  assert.deepEqual(parseSearchQuery('tag:$where {$gt:1} -.* (a|b)+'), {
+    ...EMPTY,
+    terms: ['gt1', 'ab'],
+    tags: ['where']
+  });
+});
+
+test('anything but a string parses to nothing', () => {
+  assert.deepEqual(parseSearchQuery(undefined), EMPTY);
+  assert.deepEqual(parseSearchQuery(''), EMPTY);
+  assert.deepEqual(parseSearchQuery({ $ne: 1 }), EMPTY);
+  assert.deepEqual(parseSearchQuery(['drake']), EMPTY);
+});
+
+test('only the first 200 characters are read', () => {
+  const long = 'x'.repeat(197);
+  assert.deepEqual(parseSearchQuery(`${long} tail`).terms, [long, 'ta']);
+});
+
+test('escapeRegex makes user input match literally', () => {
+  const input = 'a.b*c+(d)[e]{f}|g^h$i?\\j';
+  assert.ok(new RegExp(`^${escapeRegex(input)}$`).test(input));
+  assert.ok(!new RegExp(escapeRegex('a.b')).test('axb'));
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// publishMeme is exercised against an in-memory memes collection and the local
+// storage driver, so no database or Cloudinary account is needed
+process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/test';
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'meme-test-'));
+
+const sharp = require('sharp');
+const { ObjectId } = require('mongodb');
+const Meme = require('../models/Meme');
+const queue = require('../jobs/queue');
+const { renderMeme } = require('../utils/memeRenderer');
+const { computePerceptualHash, hammingDistance } = require('../utils/imageHash');
+const { publishMeme, DuplicateMemeError, DUPLICATE_MAX_DISTANCE } = require('../services/memeUpload');
+
+const createMemoryCollection = () => {
+  const docs = [];
+  return {
+    docs,
+    findOne: async (query) => docs.find(doc => doc._id.equals(query._id)) || null,
+    insertOne: async (doc) => {
+      const stored = { _id: new ObjectId(), ...doc };
+      docs.push(stored);
+      return { insertedId: stored._id };
+    },
+    updateOne: async () => ({ modifiedCount: 1 }),
+    deleteOne: async (query) => {
+      const index = docs.findIndex(doc => doc._id.equals(query._id));
+      if (index >= 0) docs.splice(index, 1);
+      return { deletedCount: index >= 0 ? 1 : 0 };
+    }
+  };
+};
+
+// A template photo: large shapes and gradients, like a real picture
+const createTemplateImage = () => {
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="450">' +
+    '<defs><linearGradient id="sky" x1="0" y1="0" x2="1" y2="1">' +
+    '<stop offset="0" stop-color="#2b6cb0"/><stop offset="1" stop-color="#f6e05e"/></linearGradient></defs>' +
+    '<rect width="600" height="450" fill="url(#sky)"/>' +
+    '<circle cx="180" cy="220" r="120" fill="#9b2c2c"/>' +
+    '<rect x="330" y="150" width="200" height="220" fill="#22543d"/>' +
+    '</svg>';
+  return sharp(Buffer.from(svg)).png().toBuffer();
+};
+
+const caption = (top, bottom) => [
+  { text: top, x: 0.05, y: 0.02, width: 0.9, height: 0.12 },
+  { text: bottom, x: 0.05, y: 0.86, width: 0.9, height: 0.12 }
+];
+
+test('two renders of the same template can both be published', async (t) => {
+  const memes = createMemoryCollection();
+  t.mock.method(Meme, 'getCollection', async () => memes);
+  // Supports the `{ field: { $ne: value } }` filters publishMeme passes
+  t.mock.method(Meme, 'findByPerceptualHash', async (phash, maxDistance, { filter = {} } = {}) => {
+    const matches = memes.docs
+      .filter(meme => Object.entries(filter).every(([field, { $ne }]) => String(meme[field]) !== String($ne)))
+      .map(meme => ({ meme, distance: hammingDistance(phash, meme.phash) }))
+      .filter(match => match.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance);
+    return { matches, total: matches.length };
+  });
+  t.mock.method(queue, 'enqueue', async () => ({ _id: new ObjectId() }));
+
+  const template = await createTemplateImage();
+  const first = await renderMeme(template, caption('one does not simply', 'render a template twice'));
+  const second = await renderMeme(template, caption('when the build', 'finally passes'));
+
+  // Different captions on the same image are near-duplicates as far as the hash goes
+  const distance = hammingDistance(await computePerceptualHash(first.buffer), await computePerceptualHash(second.buffer));
+  assert.ok(distance <= DUPLICATE_MAX_DISTANCE, `expected renders to be near-duplicates, distance ${distance}`);
+
+  const uploadedBy = new ObjectId();
+  const templateId = new ObjectId();
+  const publishRender = (rendered) => publishMeme({
+    buffer: rendered.buffer,
+    description: 'test render',
+    uploadedBy,
+    fields: { templateId },
+    duplicateFilter: { templateId: { $ne: templateId } }
+  });
+
+  const { meme: firstMeme } = await publishRender(first);
+  const { meme: secondMeme, duplicateOf } = await publishRender(second);
+
+  assert.equal(memes.docs.length, 2);
+  assert.notEqual(String(firstMeme._id), String(secondMeme._id));
+  assert.equal(duplicateOf, null);
+  assert.equal(String(secondMeme.templateId), String(templateId));
+
+  // A plain upload of the same render is still caught, and so is a render
+  // of another template that reuses the image
+  await assert.rejects(
+    publishMeme({ buffer: second.buffer, uploadedBy }),
+    DuplicateMemeError
+  );
+  const otherTemplateId = new ObjectId();
+  await assert.rejects(
+    publishMeme({
+      buffer: second.buffer,
+      uploadedBy,
+      fields: { templateId: otherTemplateId },
+      duplicateFilter: { templateId: { $ne: otherTemplateId } }
+    }),
+    DuplicateMemeError
+  );
+});
+
+test('text boxes without text are refused', async () => {
+  const template = await createTemplateImage();
+  await assert.rejects(renderMeme(template, [{ text: '' }]), { status: 400 });
+  await assert.rejects(renderMeme(template, caption('  ', '\n')), { status: 400 });
+});
+
+test.after(() => {
+  fs.rmSync(process.env.STORAGE_DIR, { recursive: true, force: true });
+});
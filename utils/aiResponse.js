@@ -0,0 +1,197 @@
+// Shared parsing and validation for structured (JSON) AI responses.
+
+// Raised when a model response can't be parsed or doesn't match its schema
+class AIResponseError extends Error {
+  constructor(message, rawResponse) {
+    super(message);
+    this.name = 'AIResponseError';
+    this.rawResponse = rawResponse;
+  }
+}
+
+// Find the end of the JSON value starting at `start`, respecting strings and escapes
+const findJsonEnd = (text, start) => {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+
+  return -1;
+};
+
+// Extract and parse the first JSON object/array from model output.
+// Handles ```json fences anywhere in the text, leading/trailing prose and bare JSON.
+const extractJson = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new AIResponseError('Empty response', text);
+  }
+
+  const candidates = [];
+
+  // Prefer the contents of fenced code blocks
+  const fencePattern = /```(?:json|javascript|js)?\s*\n?([\s\S]*?)```/gi;
+  let fence;
+  while ((fence = fencePattern.exec(text)) !== null) {
+    candidates.push(fence[1]);
+  }
+  candidates.push(text);
+
+  for (const candidate of candidates) {
+    const trimmed = candidate.trim();
+
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      // Fall through to scanning for an embedded JSON value
+    }
+
+    for (let start = 0; start < trimmed.length; start++) {
+      if (trimmed[start] !== '{' && trimmed[start] !== '[') continue;
+
+      const end = findJsonEnd(trimmed, start);
+      if (end === -1) continue;
+
+      try {
+        return JSON.parse(trimmed.slice(start, end + 1));
+      } catch (error) {
+        // Keep scanning
+      }
+    }
+  }
+
+  throw new AIResponseError('No valid JSON found in response', text);
+};
+
+// Minimal JSON schema subset: type, properties, required, items, enum,
+// minItems/maxItems, minLength/maxLength, minimum/maximum.
+// Returns a list of human readable errors (empty when valid).
+const validateSchema = (value, schema, path = '$') => {
+  const errors = [];
+  const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+  if (schema.type && schema.type !== actualType) {
+    return [`${path} should be ${schema.type} but was ${actualType}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (actualType === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (actualType === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Prompt appended on retry telling the model what was wrong with its last answer
+const buildCorrectionPrompt = (error) => {
+  const previous = typeof error.rawResponse === 'string' ? error.rawResponse.slice(0, 1000) : '';
+  return `Your previous response could not be used: ${error.message}.
+Previous response:
+${previous}
+
+Reply again with ONLY valid JSON in exactly the requested structure - no markdown fences, comments or extra text.`;
+};
+
+// Call `generateText(correction)` until its output parses and matches `schema`.
+// `correction` is null on the first attempt and a corrective prompt on retries.
+// Errors other than bad output (network, quota, ...) are not retried.
+const generateValidatedJson = async (generateText, schema, { retries = 2 } = {}) => {
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const text = await generateText(lastError ? buildCorrectionPrompt(lastError) : null);
+
+    try {
+      const data = extractJson(text);
+      const errors = validateSchema(data, schema);
+      if (errors.length === 0) return data;
+
+      lastError = new AIResponseError(`Response did not match schema: ${errors.slice(0, 5).join('; ')}`, text);
+    } catch (error) {
+      if (!(error instanceof AIResponseError)) throw error;
+      lastError = error;
+    }
+
+    console.warn(`AI response rejected (attempt ${attempt + 1}/${retries + 1}):`, lastError.message);
+  }
+
+  throw lastError;
+};
+
+// Run an AI call, substituting `fallbackValue` if it fails.
+// Returns { data, fallback } so responses can say when placeholder data was used.
+const withFallback = async (promise, fallbackValue) => {
+  try {
+    return { data: await promise, fallback: false };
+  } catch (error) {
+    console.warn('AI call failed, using fallback:', error.message);
+    return { data: fallbackValue, fallback: true };
+  }
+};
+
+module.exports = {
+  AIResponseError,
+  extractJson,
+  validateSchema,
+  buildCorrectionPrompt,
+  generateValidatedJson,
+  withFallback
+};
@@ -1,12 +1,14 @@
-// Helper function to validate image file types
+const { ObjectId, BSON } = require('mongodb');
+const { buildRenditions } = require('./renditions');
+
+// Helper function to validate image file types (formats sharp can decode)
 const isValidImageType = (mimetype) => {
   const allowedTypes = [
     'image/jpeg',
     'image/jpg',
     'image/png',
     'image/gif',
-    'image/webp',
-    'image/bmp'
+    'image/webp'
   ];
   return allowedTypes.includes(mimetype);
 };
@@ -31,6 +33,15 @@ const validateTags = (tags) => {
   );
 };
 
+// Parse tags from an array or comma separated string (lowercased, deduplicated)
+const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) return [];
+  const tagArray = (Array.isArray(tags) ? tags : String(tags).split(','))
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(tag => tag.length > 0);
+  return [...new Set(tagArray)];
+};
+
 // Helper function to sanitize search query
 const sanitizeSearchQuery = (query) => {
   if (!query || typeof query !== 'string') return '';
@@ -42,6 +53,67 @@ const sanitizeSearchQuery = (query) => {
     .slice(0, 200);
 };
 
+// Helper function to escape user input for use inside a RegExp
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to parse a search query into its parts:
+//   drake meme        -> terms
+//   "hotline bling"   -> phrases
+//   dra*              -> prefixes
+//   -cat              -> excludedTerms
+//   tag:drake         -> tags (must all be present)
+//   -tag:cat          -> excludedTags
+const parseSearchQuery = (query) => {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    prefixes: [],
+    excludedTerms: [],
+    tags: [],
+    excludedTags: []
+  };
+
+  if (!query || typeof query !== 'string') return parsed;
+
+  const cleanWord = (word) => word.toLowerCase().replace(/[^a-z0-9\-_]/g, '');
+  const tokenPattern = /(-?)(tag:)?(?:"([^"]*)"|(\S+))/gi;
+  let match;
+
+  while ((match = tokenPattern.exec(query.slice(0, 200))) !== null) {
+    const [, negated, tagPrefix, phrase, rawWord] = match;
+
+    if (phrase !== undefined) {
+      const words = phrase.toLowerCase().split(/\s+/).map(cleanWord).filter(Boolean);
+      if (words.length === 0) continue;
+      if (negated) parsed.excludedTerms.push(...words);
+      else if (words.length === 1) parsed.terms.push(words[0]);
+      else parsed.phrases.push(words.join(' '));
+      continue;
+    }
+
+    const isPrefix = rawWord.endsWith('*');
+    const word = cleanWord(rawWord);
+    if (!word) continue;
+
+    if (tagPrefix) {
+      (negated ? parsed.excludedTags : parsed.tags).push(word);
+    } else if (negated) {
+      parsed.excludedTerms.push(word);
+    } else if (isPrefix) {
+      if (word.length > 1) parsed.prefixes.push(word);
+    } else if (word.length > 1) {
+      parsed.terms.push(word);
+    }
+  }
+
+  // Drop duplicates within each group
+  Object.keys(parsed).forEach(key => {
+    parsed[key] = [...new Set(parsed[key])];
+  });
+
+  return parsed;
+};
+
 // Helper function to calculate popularity score
 const calculatePopularityScore = (upvotes, downloads, createdAt) => {
   const daysSinceCreation = (Date.now() - new Date(createdAt).getTime()) / (1000 * 60 * 60 * 24);
@@ -50,24 +122,105 @@ const calculatePopularityScore = (upvotes, downloads, createdAt) => {
   return (upvotes * 3 + downloads) * recencyFactor;
 };
 
+// Helper function to check whether a user is in a meme's upvotedBy list
+const hasUserUpvoted = (meme, userId) => {
+  if (!userId || !Array.isArray(meme.upvotedBy)) return false;
+  return meme.upvotedBy.some(id => String(id) === String(userId));
+};
+
 // Helper function to format API response
 const formatMemeResponse = (meme, userId = null) => {
   return {
     id: meme._id,
     image_url: meme.image_url,
+    renditions: buildRenditions(meme),
+    media: buildMediaInfo(meme),
     tags: meme.tags,
     upvotes: meme.upvotes,
     downloads: meme.downloads,
     title: meme.title,
     description: meme.description,
     uploadedBy: meme.uploadedBy,
+    templateId: meme.templateId || null,
+    commentCount: meme.commentCount || 0,
+    favoriteCount: meme.favoriteCount || 0,
+    moderationStatus: meme.moderationStatus || 'approved',
+    status: meme.status || 'ready',
     createdAt: meme.createdAt,
     updatedAt: meme.updatedAt,
-    hasUpvoted: userId ? meme.upvotedBy.includes(userId) : false,
+    hasUpvoted: hasUserUpvoted(meme, userId),
     popularityScore: calculatePopularityScore(meme.upvotes, meme.downloads, meme.createdAt)
   };
 };
 
+// Poster and playable URLs for a meme. Static images have no playable URL;
+// GIF and video memes play `image_url` and show `poster_url` until loaded.
+const buildMediaInfo = (meme) => {
+  const type = meme.mediaType || 'image';
+  return {
+    type: type,
+    mimeType: meme.mimeType || null,
+    poster_url: meme.poster_url || meme.image_url,
+    playable_url: type === 'image' ? null : meme.image_url,
+    duration: meme.metadata?.duration ?? null,
+    frameCount: meme.metadata?.frameCount ?? 1
+  };
+};
+
+// Helper function to turn a string/ObjectId into an ObjectId, or null if it isn't valid
+const toObjectId = (id) => {
+  if (id instanceof ObjectId) return id;
+  if (typeof id === 'string' && ObjectId.isValid(id)) return new ObjectId(id);
+  return null;
+};
+
+// Helper function to check whether a user may edit/delete a meme (uploader or admin)
+const canManageMeme = (meme, user) => {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+  return Boolean(meme.uploadedBy) && String(meme.uploadedBy) === String(user._id);
+};
+
+// Helper function to check whether a user may see a meme that isn't public
+// (pending/flagged/rejected by moderation): only its uploader and admins can
+const canViewMeme = (meme, user) => {
+  const status = meme.moderationStatus || 'approved';
+  return status === 'approved' || canManageMeme(meme, user);
+};
+
+// Common words ignored when comparing descriptions
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'he', 'her',
+  'his', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'she', 'so', 'that',
+  'the', 'their', 'them', 'they', 'this', 'to', 'was', 'when', 'with', 'you', 'your'
+]);
+
+// Helper function to split text into a set of lowercase, meaningful words
+const tokenize = (text) => {
+  if (!text || typeof text !== 'string') return new Set();
+
+  return new Set(
+    text
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+  );
+};
+
+// Helper function to compute the Jaccard similarity (0-1) of two sets/arrays
+const jaccardSimilarity = (a, b) => {
+  const setA = a instanceof Set ? a : new Set(a || []);
+  const setB = b instanceof Set ? b : new Set(b || []);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let intersection = 0;
+  setA.forEach(item => {
+    if (setB.has(item)) intersection++;
+  });
+
+  return intersection / (setA.size + setB.size - intersection);
+};
+
 // Helper function to validate pagination parameters
 const validatePagination = (page, limit) => {
   const validatedPage = Math.max(1, parseInt(page) || 1);
@@ -80,6 +233,49 @@ const validatePagination = (page, limit) => {
   };
 };
 
+// Helper functions for cursor (keyset) pagination over a sort such as
+// { upvotes: -1, _id: -1 }. The sort must end with a unique field (_id).
+// Cursors are opaque strings holding the sort values of the last item returned.
+const encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map(field => doc[field] ?? null);
+  return Buffer.from(BSON.EJSON.stringify(values)).toString('base64url');
+};
+
+// Sort values a cursor may hold. Anything else (e.g. an object such as
+// { $exists: true }) would be an operator injected into the query.
+const isCursorValue = (value) => value === null ||
+  typeof value === 'string' ||
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (value instanceof Date && !Number.isNaN(value.getTime())) ||
+  value instanceof ObjectId;
+
+// Returns the cursor's sort values, or null if it isn't a valid cursor for `sort`
+const decodeCursor = (cursor, sort) => {
+  if (typeof cursor !== 'string' || cursor.length === 0) return null;
+  try {
+    const values = BSON.EJSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== Object.keys(sort).length) return null;
+    return values.every(isCursorValue) ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query matching the items that come after the cursor's `values` in `sort` order
+const buildCursorFilter = (values, sort) => {
+  const fields = Object.keys(sort);
+  return {
+    $or: fields.map((field, index) => {
+      const clause = {};
+      fields.slice(0, index).forEach((previous, previousIndex) => {
+        clause[previous] = values[previousIndex];
+      });
+      clause[field] = { [sort[field] < 0 ? '$lt' : '$gt']: values[index] };
+      return clause;
+    })
+  };
+};
+
 // Helper function to build MongoDB aggregation pipeline for tag statistics
 const buildTagStatsPipeline = (limit = 50) => {
   return [
@@ -114,9 +310,22 @@ module.exports = {
   isValidImageType,
   generateUniqueFileName,
   validateTags,
+  normalizeTags,
   sanitizeSearchQuery,
+  escapeRegex,
+  parseSearchQuery,
   calculatePopularityScore,
+  hasUserUpvoted,
   formatMemeResponse,
+  buildMediaInfo,
+  toObjectId,
+  canManageMeme,
+  canViewMeme,
+  tokenize,
+  jaccardSimilarity,
   validatePagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
   buildTagStatsPipeline
 };
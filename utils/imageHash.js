@@ -0,0 +1,86 @@
+const sharp = require('sharp');
+
+// Perceptual hash (pHash): downscale to 32x32 greyscale, take the 2D DCT and
+// compare the lowest 8x8 frequencies (minus the DC term) against their median.
+// Visually similar images produce hashes with a small Hamming distance.
+const SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+
+// Precomputed DCT-II cosine table for SAMPLE_SIZE points
+const cosineTable = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Array.from({ length: SAMPLE_SIZE }, (_, x) =>
+    Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SAMPLE_SIZE))
+  )
+);
+
+// Compute the 64-bit perceptual hash of an image buffer as a 16 character hex string
+const computePerceptualHash = async (buffer) => {
+  const pixels = await sharp(buffer, { animated: false })
+    .greyscale()
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  // Only the low frequency block is needed, so skip the rest of the DCT
+  const coefficients = [];
+  for (let u = 0; u < HASH_SIZE; u++) {
+    for (let v = 0; v < HASH_SIZE; v++) {
+      let sum = 0;
+      for (let x = 0; x < SAMPLE_SIZE; x++) {
+        for (let y = 0; y < SAMPLE_SIZE; y++) {
+          sum += pixels[y * SAMPLE_SIZE + x] * cosineTable[u][x] * cosineTable[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // Ignore the DC term (overall brightness) when computing the median of the
+  // 63 remaining terms
+  const acTerms = coefficients.slice(1);
+  const sorted = [...acTerms].sort((a, b) => a - b);
+  const median = sorted[(acTerms.length - 1) / 2];
+
+  let hash = 0n;
+  coefficients.forEach((value, index) => {
+    const bit = index === 0 ? 0n : (value > median ? 1n : 0n);
+    hash = (hash << 1n) | bit;
+  });
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+// Number of differing bits between two hex hashes of the same length
+const hammingDistance = (hashA, hashB) => {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+};
+
+// Hashes are split into HASH_BANDS bands of 8 bits, stored as '<band>:<bits>'.
+// Two hashes less than HASH_BANDS bits apart differ in fewer bands than there
+// are, so they always share at least one band; this lets near-duplicate
+// lookups use an index instead of comparing every stored hash.
+const HASH_BANDS = 8;
+
+const hashBands = (hash) => {
+  const width = hash.length / HASH_BANDS;
+  return Array.from({ length: HASH_BANDS }, (_, band) => `${band}:${hash.slice(band * width, (band + 1) * width)}`);
+};
+
+// Similarity in the 0-1 range derived from the Hamming distance
+const hashSimilarity = (hashA, hashB) => {
+  return 1 - hammingDistance(hashA, hashB) / (HASH_SIZE * HASH_SIZE);
+};
+
+module.exports = {
+  computePerceptualHash,
+  HASH_BANDS,
+  hashBands,
+  hammingDistance,
+  hashSimilarity
+};
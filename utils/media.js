@@ -0,0 +1,266 @@
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { isValidImageType } = require('./helpers');
+
+// Media inspection for uploads: still images, animated images (GIF/WebP) and
+// short videos (MP4/WebM).
+//
+// The file type is sniffed from its magic bytes; the client-supplied MIME type
+// is never trusted. Images are checked for oversized dimensions before being
+// decoded and re-encoded without EXIF/GPS metadata.
+//
+// Animated images are read with sharp. Videos need ffprobe/ffmpeg on the
+// server (FFPROBE_PATH / FFMPEG_PATH) to read their duration, grab a poster
+// frame and strip metadata; without them video uploads are refused.
+
+const MB = 1024 * 1024;
+
+const MAX_IMAGE_SIZE = 10 * MB;
+const MAX_VIDEO_SIZE = parseInt(process.env.MAX_VIDEO_SIZE_MB ?? '50') * MB;
+const MAX_DURATION_SECONDS = parseFloat(process.env.MAX_MEDIA_DURATION_SECONDS ?? '60');
+
+// Decompression-bomb guards, checked from the header before decoding
+const MAX_DIMENSION = parseInt(process.env.MAX_IMAGE_DIMENSION ?? '8000');
+const MAX_PIXELS = parseInt(process.env.MAX_IMAGE_PIXELS ?? String(40 * 1000 * 1000));
+const MAX_FRAMES = 1000;
+
+const VIDEO_TYPES = {
+  'video/mp4': 'mp4',
+  'video/webm': 'webm'
+};
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+const mediaError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const isAllowedType = (mimetype) => {
+  return typeof mimetype === 'string' && (mimetype.startsWith('image/') || Boolean(VIDEO_TYPES[mimetype]));
+};
+
+const isVideoType = (mimetype) => Boolean(VIDEO_TYPES[mimetype]);
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+// Detect the real file type from its leading bytes; null if unrecognised
+const sniffMimeType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38])) return 'image/gif';
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'video/webm';
+  // ISO base media: "ftyp" box at offset 4, excluding HEIF/AVIF still images
+  if (startsWith(buffer, [0x66, 0x74, 0x79, 0x70], 4)) {
+    const brand = buffer.toString('latin1', 8, 12);
+    return ['heic', 'heix', 'mif1', 'msf1', 'avif', 'avis'].includes(brand) ? null : 'video/mp4';
+  }
+  return null;
+};
+
+const checkDimensions = (width, height, frames = 1) => {
+  if (!width || !height) {
+    throw mediaError('Could not read image dimensions');
+  }
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw mediaError(`Images must be at most ${MAX_DIMENSION}x${MAX_DIMENSION} pixels`, 413);
+  }
+  // Animations are decoded whole when metadata is stripped, so all frames
+  // together get the budget of a single still
+  if (width * height > MAX_PIXELS || frames > MAX_FRAMES || width * height * frames > MAX_PIXELS) {
+    throw mediaError('Image has too many pixels to process', 413);
+  }
+};
+
+const run = (command, args) => {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { encoding: 'buffer', maxBuffer: 20 * MB, timeout: 30 * 1000 }, (error, stdout, stderr) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          console.warn(`${command} not found, video uploads are disabled`);
+          return reject(mediaError('Video memes are not supported on this server', 415));
+        }
+        return reject(new Error(`${path.basename(command)} failed: ${stderr.toString().trim() || error.message}`));
+      }
+      resolve(stdout);
+    });
+  });
+};
+
+// Poster frame as JPEG, so AI providers and image tooling always get a still image
+const toPoster = (buffer) => {
+  return sharp(buffer, { animated: false, limitInputPixels: MAX_PIXELS }).rotate().jpeg({ quality: 85 }).toBuffer();
+};
+
+const ENCODE_OPTIONS = {
+  jpeg: { quality: 92 },
+  png: {},
+  gif: { reuse: true },
+  webp: { quality: 90 }
+};
+
+// Re-encode without EXIF/XMP/GPS metadata (sharp drops it unless asked to
+// keep it). EXIF orientation is applied first so the image still displays
+// the right way up. GIFs carry metadata in comment and application extension
+// blocks instead, which re-encoding drops too; the existing palette, frame
+// delays and loop count are kept.
+const stripMetadata = (buffer, format, isAnimated) => {
+  const image = sharp(buffer, { animated: isAnimated, limitInputPixels: MAX_PIXELS });
+  if (!isAnimated) {
+    image.rotate();
+  }
+  return image.toFormat(format, ENCODE_OPTIONS[format]).toBuffer();
+};
+
+const probeImage = async (buffer, mimeType) => {
+  if (buffer.length > MAX_IMAGE_SIZE) {
+    throw mediaError(`Images must be at most ${MAX_IMAGE_SIZE / MB}MB`, 413);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { animated: true }).metadata();
+  } catch (error) {
+    throw mediaError('Unsupported or corrupt image file');
+  }
+
+  const frameCount = metadata.pages || 1;
+  checkDimensions(metadata.width, metadata.pageHeight || metadata.height, frameCount);
+
+  const isAnimated = frameCount > 1;
+  const duration = isAnimated && Array.isArray(metadata.delay)
+    ? metadata.delay.reduce((total, delay) => total + delay, 0) / 1000
+    : null;
+
+  if (duration !== null && duration > MAX_DURATION_SECONDS) {
+    throw mediaError(`Animations must be at most ${MAX_DURATION_SECONDS} seconds long`);
+  }
+
+  const cleanBuffer = await stripMetadata(buffer, metadata.format, isAnimated);
+  // Orientation may have swapped width and height
+  const cleanMetadata = await sharp(cleanBuffer, { animated: true }).metadata();
+
+  return {
+    type: isAnimated ? 'animated' : 'image',
+    mimeType,
+    buffer: cleanBuffer,
+    width: cleanMetadata.width,
+    height: cleanMetadata.pageHeight || cleanMetadata.height,
+    format: cleanMetadata.format,
+    duration,
+    frameCount,
+    poster: isAnimated ? await toPoster(cleanBuffer) : cleanBuffer,
+    posterMimeType: isAnimated ? 'image/jpeg' : mimeType
+  };
+};
+
+const probeVideo = async (buffer, mimetype) => {
+  if (buffer.length > MAX_VIDEO_SIZE) {
+    throw mediaError(`Videos must be at most ${MAX_VIDEO_SIZE / MB}MB`, 413);
+  }
+
+  // ffmpeg needs a seekable input for MP4s whose index sits at the end of the file
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'meme-'));
+  const input = path.join(dir, `input.${VIDEO_TYPES[mimetype]}`);
+
+  try {
+    await fs.writeFile(input, buffer);
+
+    const probe = JSON.parse((await run(FFPROBE_PATH, [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-count_packets',
+      '-show_entries', 'stream=width,height,nb_read_packets:format=duration',
+      '-of', 'json',
+      input
+    ])).toString());
+
+    const stream = probe.streams && probe.streams[0];
+    if (!stream) {
+      throw mediaError('Video has no video stream');
+    }
+
+    const duration = parseFloat(probe.format && probe.format.duration);
+    if (Number.isNaN(duration)) {
+      throw mediaError('Could not read video duration');
+    }
+    if (duration > MAX_DURATION_SECONDS) {
+      throw mediaError(`Videos must be at most ${MAX_DURATION_SECONDS} seconds long`);
+    }
+    checkDimensions(stream.width, stream.height);
+
+    // Drop container metadata (recording location, device, ...) without re-encoding
+    const output = path.join(dir, `clean.${VIDEO_TYPES[mimetype]}`);
+    await run(FFMPEG_PATH, [
+      '-v', 'error',
+      '-i', input,
+      '-map', '0:v',
+      '-map', '0:a?',
+      '-map_metadata', '-1',
+      '-c', 'copy',
+      ...(mimetype === 'video/mp4' ? ['-movflags', '+faststart'] : []),
+      output
+    ]);
+
+    // Skip past fade-ins, but stay inside very short clips
+    const frame = await run(FFMPEG_PATH, [
+      '-v', 'error',
+      '-ss', String(Math.min(1, duration / 2)),
+      '-i', input,
+      '-frames:v', '1',
+      '-f', 'image2',
+      '-c:v', 'png',
+      'pipe:1'
+    ]);
+
+    return {
+      type: 'video',
+      mimeType: mimetype,
+      buffer: await fs.readFile(output),
+      width: stream.width,
+      height: stream.height,
+      format: VIDEO_TYPES[mimetype],
+      duration,
+      frameCount: parseInt(stream.nb_read_packets) || null,
+      poster: await toPoster(frame),
+      posterMimeType: 'image/jpeg'
+    };
+
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+};
+
+// Validate an upload against the type/size/dimension/duration limits and describe it:
+// { type: 'image' | 'animated' | 'video', mimeType, buffer, width, height, format,
+//   duration, frameCount, poster, posterMimeType }
+// `buffer` is the file with metadata stripped, the one to store. `poster` is a
+// still image buffer (the image itself for static images).
+// Throws an Error with an HTTP `status` when the file is not acceptable.
+const probeMedia = (buffer) => {
+  const mimeType = sniffMimeType(buffer);
+
+  if (isVideoType(mimeType)) {
+    return probeVideo(buffer, mimeType);
+  }
+  if (!isValidImageType(mimeType)) {
+    return Promise.reject(mediaError('Unsupported file type. Upload a JPEG, PNG, GIF, WebP, MP4 or WebM file', 415));
+  }
+  return probeImage(buffer, mimeType);
+};
+
+module.exports = {
+  MAX_IMAGE_SIZE,
+  MAX_PIXELS,
+  MAX_VIDEO_SIZE,
+  MAX_DURATION_SECONDS,
+  VIDEO_TYPES,
+  isAllowedType,
+  isVideoType,
+  sniffMimeType,
+  probeMedia
+};
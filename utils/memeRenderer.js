@@ -0,0 +1,208 @@
+const sharp = require('sharp');
+
+// Server-side meme composer: draws caption text boxes onto an image using an
+// SVG overlay composited with sharp.
+//
+// Text box positions and sizes are fractions (0-1) of the image, so the same
+// layout works for any resolution:
+//   { text, x, y, width, height, font, size, color, outlineColor, outlineWidth, align, uppercase }
+
+const FONTS = {
+  impact: 'Impact, Anton, "Arial Black", "DejaVu Sans", sans-serif',
+  arial: 'Arial, Helvetica, "DejaVu Sans", sans-serif',
+  comic: '"Comic Sans MS", "Comic Neue", "DejaVu Sans", sans-serif',
+  serif: 'Georgia, "Times New Roman", "DejaVu Serif", serif',
+  mono: '"Courier New", "DejaVu Sans Mono", monospace'
+};
+
+const ALIGNMENTS = { left: 'start', center: 'middle', right: 'end' };
+const OUTPUT_FORMATS = ['png', 'jpeg', 'webp'];
+const MAX_TEXT_BOXES = 10;
+const MAX_TEXT_LENGTH = 500;
+const MIN_FONT_SIZE = 10;
+// Explicit sizes are also capped to the box height when rendering
+const MAX_FONT_SIZE = 500;
+
+// Average glyph width relative to font size - rough, but good enough for wrapping
+const CHAR_WIDTH_RATIO = 0.6;
+const LINE_HEIGHT_RATIO = 1.15;
+
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]{3,20})$/i;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const clampFraction = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : Math.min(1, Math.max(0, number));
+};
+
+// Validate and fill defaults for a list of text boxes. Boxes must have text
+// unless `allowEmptyText` (template slots, which only describe the layout).
+// Throws an Error with status 400 describing the first problem found.
+const normalizeTextBoxes = (textBoxes, { allowEmptyText = false } = {}) => {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+  if (!Array.isArray(textBoxes) || textBoxes.length === 0) {
+    throw invalid('textBoxes must be a non-empty array');
+  }
+  if (textBoxes.length > MAX_TEXT_BOXES) {
+    throw invalid(`At most ${MAX_TEXT_BOXES} text boxes are allowed`);
+  }
+
+  return textBoxes.map((box, index) => {
+    if (!box || typeof box.text !== 'string') {
+      throw invalid(`textBoxes[${index}].text must be a string`);
+    }
+    if (!allowEmptyText && box.text.trim().length === 0) {
+      throw invalid(`textBoxes[${index}].text must not be empty`);
+    }
+    if (box.text.length > MAX_TEXT_LENGTH) {
+      throw invalid(`textBoxes[${index}].text must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+
+    const font = (box.font || 'impact').toLowerCase();
+    if (!FONTS[font]) {
+      throw invalid(`textBoxes[${index}].font must be one of: ${Object.keys(FONTS).join(', ')}`);
+    }
+
+    const align = (box.align || 'center').toLowerCase();
+    if (!ALIGNMENTS[align]) {
+      throw invalid(`textBoxes[${index}].align must be one of: ${Object.keys(ALIGNMENTS).join(', ')}`);
+    }
+
+    const color = box.color || '#ffffff';
+    const outlineColor = box.outlineColor || '#000000';
+    if (!COLOR_PATTERN.test(color) || !COLOR_PATTERN.test(outlineColor)) {
+      throw invalid(`textBoxes[${index}] colors must be hex (#rrggbb) or color names`);
+    }
+
+    const x = clampFraction(box.x, 0.05);
+    const y = clampFraction(box.y, 0.05);
+
+    return {
+      text: box.uppercase === false ? box.text : box.text.toUpperCase(),
+      x,
+      y,
+      width: Math.min(1 - x, clampFraction(box.width, 0.9)),
+      height: Math.min(1 - y, clampFraction(box.height, 0.2)),
+      font,
+      size: box.size === undefined || box.size === 'auto' ? 'auto' : Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, parseInt(box.size) || MIN_FONT_SIZE)),
+      color,
+      outlineColor,
+      outlineWidth: box.outlineWidth === undefined || box.outlineWidth === null ? null : Math.min(20, Math.max(0, parseFloat(box.outlineWidth) || 0)),
+      align
+    };
+  });
+};
+
+// Greedy word wrap for a given font size and box width (in px)
+const wrapText = (text, fontSize, maxWidth) => {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (fontSize * CHAR_WIDTH_RATIO)));
+  const lines = [];
+
+  text.split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      // Hard-break words that can never fit
+      while (word.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, maxChars));
+        word = word.slice(maxChars);
+      }
+
+      const candidate = line ? `${line} ${word}` : word;
+      if (candidate.length > maxChars && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+  });
+
+  return lines;
+};
+
+// Pick the largest font size whose wrapped text fits inside the box
+const fitText = (text, boxWidth, boxHeight) => {
+  let fontSize = Math.max(MIN_FONT_SIZE, Math.floor(boxHeight));
+
+  while (fontSize > MIN_FONT_SIZE) {
+    const lines = wrapText(text, fontSize, boxWidth);
+    if (lines.length * fontSize * LINE_HEIGHT_RATIO <= boxHeight) {
+      return { fontSize, lines };
+    }
+    fontSize = Math.floor(fontSize * 0.9);
+  }
+
+  return { fontSize: MIN_FONT_SIZE, lines: wrapText(text, MIN_FONT_SIZE, boxWidth) };
+};
+
+const renderTextBox = (box, imageWidth, imageHeight) => {
+  const left = box.x * imageWidth;
+  const top = box.y * imageHeight;
+  const width = box.width * imageWidth;
+  const height = box.height * imageHeight;
+
+  // An explicit size never exceeds the box (or the minimum size for tiny boxes)
+  const explicitSize = Math.max(MIN_FONT_SIZE, Math.min(box.size, Math.floor(height)));
+  const { fontSize, lines } = box.size === 'auto'
+    ? fitText(box.text, width, height)
+    : { fontSize: explicitSize, lines: wrapText(box.text, explicitSize, width) };
+
+  const lineHeight = fontSize * LINE_HEIGHT_RATIO;
+  const textTop = top + Math.max(0, (height - lines.length * lineHeight) / 2);
+  const anchorX = box.align === 'left' ? left : box.align === 'right' ? left + width : left + width / 2;
+  const outlineWidth = box.outlineWidth === null ? Math.max(1, fontSize / 12) : box.outlineWidth;
+
+  const tspans = lines.map((line, index) => {
+    // Baseline sits roughly 0.9em below the top of each line
+    const baseline = textTop + index * lineHeight + fontSize * 0.9;
+    return `<tspan x="${anchorX.toFixed(1)}" y="${baseline.toFixed(1)}">${escapeXml(line)}</tspan>`;
+  }).join('');
+
+  return `<text font-family='${FONTS[box.font]}' font-size="${fontSize}" font-weight="bold" ` +
+    `fill="${box.color}" stroke="${box.outlineColor}" stroke-width="${outlineWidth}" ` +
+    `stroke-linejoin="round" paint-order="stroke" text-anchor="${ALIGNMENTS[box.align]}">${tspans}</text>`;
+};
+
+// Compose text boxes onto `imageBuffer`; returns { buffer, format, width, height }
+const renderMeme = async (imageBuffer, textBoxes, { format = 'png' } = {}) => {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw Object.assign(new Error(`format must be one of: ${OUTPUT_FORMATS.join(', ')}`), { status: 400 });
+  }
+
+  const boxes = normalizeTextBoxes(textBoxes);
+
+  // Apply EXIF orientation first so box coordinates match what users see
+  const base = await sharp(imageBuffer, { animated: false }).rotate().toBuffer({ resolveWithObject: true });
+  const { width, height } = base.info;
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    boxes.map(box => renderTextBox(box, width, height)).join('') +
+    '</svg>';
+
+  const buffer = await sharp(base.data)
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .toFormat(format)
+    .toBuffer();
+
+  return { buffer, format, width, height };
+};
+
+module.exports = {
+  FONTS,
+  OUTPUT_FORMATS,
+  normalizeTextBoxes,
+  wrapText,
+  renderMeme
+};
@@ -0,0 +1,63 @@
+const sharp = require('sharp');
+const { getPosterStorage } = require('../storage');
+
+// Derived sizes/formats served for every meme. URLs are built on demand from
+// the storage driver, so both Cloudinary and local storage resize lazily.
+const RENDITIONS = {
+  thumbnail: { width: 320, height: 320, crop: 'fill' },
+  medium: { width: 800, crop: 'limit' },
+  webp: { format: 'webp', crop: 'limit' },
+  avif: { format: 'avif', crop: 'limit' }
+};
+
+const PLACEHOLDER_WIDTH = 16;
+
+// Blurred low quality placeholder (LQIP) data URI and dominant colour,
+// computed once at upload time and stored on the meme
+const computeImageSummary = async (buffer) => {
+  const image = sharp(buffer, { animated: false }).rotate();
+
+  const [placeholder, stats] = await Promise.all([
+    image
+      .clone()
+      .resize(PLACEHOLDER_WIDTH, null, { fit: 'inside' })
+      .blur()
+      .webp({ quality: 40 })
+      .toBuffer(),
+    image.clone().stats()
+  ]);
+
+  const { r, g, b } = stats.dominant;
+  const toHex = (value) => value.toString(16).padStart(2, '0');
+
+  return {
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    dominantColor: `#${toHex(r)}${toHex(g)}${toHex(b)}`
+  };
+};
+
+// URLs for every rendition of a meme; memes without storage info fall back to the original.
+// Renditions of GIF/video memes are stills made from the poster frame.
+const buildRenditions = (meme) => {
+  const memeStorage = getPosterStorage(meme);
+
+  const urls = {};
+  Object.entries(RENDITIONS).forEach(([name, options]) => {
+    urls[name] = memeStorage
+      ? memeStorage.driver.transformedUrl(memeStorage.id, options)
+      : meme.poster_url || meme.image_url;
+  });
+
+  return {
+    original: meme.image_url,
+    ...urls,
+    placeholder: meme.placeholder || null,
+    dominantColor: meme.dominantColor || null
+  };
+};
+
+module.exports = {
+  RENDITIONS,
+  computeImageSummary,
+  buildRenditions
+};
@@ -0,0 +1,17 @@
+require('dotenv').config();
+const { startJobWorker } = require('./jobs');
+
+// Standalone job worker, for deployments where the API process can't run
+// background work (e.g. serverless). Start with `npm run worker`.
+const stop = startJobWorker({
+  pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS ?? '5000')
+});
+
+const shutdown = () => {
+  console.log('👋 Stopping job worker');
+  stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);